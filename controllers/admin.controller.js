@@ -1,629 +1,855 @@
 import bcrypt from "bcrypt";
-import {generateToken} from "../middlewares/middleware.js";
+import {createSession, revokeAllSessions} from "../utils/sessions.js";
 import Admin from "../models/admin.models.js";
-import Article from "../models/article.models.js";
-import User from "../models/user.models.js";
+import Article, {ARTICLE_STATUSES} from "../models/article.models.js";
+import User, {PUBLIC_AUTHOR_FIELDS} from "../models/user.models.js";
+import Revision from "../models/revision.models.js";
+import Comment from "../models/comment.models.js";
+import Like from "../models/like.models.js";
+import Bookmark from "../models/bookmark.models.js";
+import View from "../models/view.models.js";
+import {getPeriodRange} from "../utils/period.js";
+import {buildRegexSearch} from "../utils/search.js";
+import {parsePagination, paginate} from "../utils/pagination.js";
+import {getMostViewed} from "../utils/views.js";
+import {scheduleArticle, cancelSchedule} from "../utils/scheduler.js";
+import {deleteArticleMedia} from "../utils/media.js";
+import {
+  getAccountLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/rateLimit/index.js";
+import {claimInvitation, releaseInvitation} from "./invitation.controller.js";
+import {
+  ADMIN_ROLES,
+  SUPER_ADMIN_FILTER,
+  getRole,
+  getPermissions,
+  hasPermission,
+  userFieldsFor,
+} from "../utils/permissions.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+
+// Drafts are private to their authors and never shown to admins
+const submittedOnly = {status: {$ne: "draft"}};
+const ADMIN_VISIBLE_STATUSES = ARTICLE_STATUSES.filter(
+  (status) => status !== "draft"
+);
 
 // Admin Authentication Controllers
 export const registerAdmin = async (req, res) => {
-  try {
-    const {username, email, password} = req.body;
-
-    // Validation
-    if (!username || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "All fields are required",
-      });
-    }
+  const {username, email, password, invitationToken} = req.body;
 
-    // Check if admin already exists
-    const existingAdmin = await Admin.findOne({
-      $or: [{email}, {username}],
-    });
+  // Admins can only join through an invitation from an existing admin
+  if (!invitationToken) {
+    throw new ForbiddenError(
+      "An invitation is required to register as an admin"
+    );
+  }
 
-    if (existingAdmin) {
-      return res.status(409).json({
-        success: false,
-        message: "Admin with this email or username already exists",
-      });
-    }
+  // Check if admin already exists
+  const existingAdmin = await Admin.findOne({
+    $or: [{email}, {username}],
+  });
 
-    // Hash password
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+  if (existingAdmin) {
+    throw new ConflictError("Admin with this email or username already exists");
+  }
 
-    // Create admin
-    const admin = new Admin({
-      username,
-      email,
-      password: hashedPassword,
-    });
+  // Hash password
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    await admin.save();
+  const invitation = await claimInvitation(invitationToken, email);
+  if (!invitation) {
+    throw new ForbiddenError(
+      "Invitation is invalid, expired or for a different email"
+    );
+  }
 
-    // Generate token
-    const token = generateToken(admin._id);
+  // Create admin with the role chosen by the inviter
+  const admin = new Admin({
+    username,
+    email,
+    password: hashedPassword,
+    role: invitation.role,
+    invitedBy: invitation.invitedBy,
+    invitation: invitation._id,
+  });
 
-    res.status(201).json({
-      success: true,
-      message: "Admin registered successfully",
-      token,
-      admin: {
-        id: admin._id,
-        username: admin.username,
-        email: admin.email,
-      },
-    });
+  try {
+    await admin.save();
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error during admin registration",
-      error: error.message,
-    });
+    await releaseInvitation(invitation);
+    throw error;
   }
+
+  invitation.acceptedBy = admin._id;
+  await invitation.save();
+
+  // Start a session with an access and refresh token
+  const tokens = await createSession(admin, "Admin", req);
+
+  res.status(201).json({
+    success: true,
+    message: "Admin registered successfully",
+    ...tokens,
+    admin: {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      role: getRole(admin),
+      permissions: getPermissions(admin),
+    },
+  });
 };
 
 export const loginAdmin = async (req, res) => {
-  try {
-    const {email, password} = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Email and password are required",
-      });
-    }
-
-    // Find admin
-    const admin = await Admin.findOne({email});
-    if (!admin) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      });
-    }
-
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, admin.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      });
-    }
-
-    // Generate token
-    const token = generateToken(admin._id);
+  const {email, password} = req.body;
+
+  // Too many failed attempts lock the account for a while
+  const lockedUntil = await getAccountLock("Admin", email);
+  if (lockedUntil) {
+    res.set(
+      "Retry-After",
+      String(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000))
+    );
+    throw new TooManyRequestsError(
+      "Account temporarily locked after too many failed login attempts",
+      {code: "ACCOUNT_LOCKED"}
+    );
+  }
 
-    res.json({
-      success: true,
-      message: "Admin login successful",
-      token,
-      admin: {
-        id: admin._id,
-        username: admin.username,
-        email: admin.email,
-      },
+  // Find admin
+  const admin = await Admin.findOne({email});
+  if (!admin) {
+    await recordLoginFailure("Admin", email);
+    throw new UnauthorizedError("Invalid credentials", {
+      code: "INVALID_CREDENTIALS",
     });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error during admin login",
-      error: error.message,
+  }
+
+  // Verify password
+  const isValidPassword = await bcrypt.compare(password, admin.password);
+  if (!isValidPassword) {
+    await recordLoginFailure("Admin", email);
+    throw new UnauthorizedError("Invalid credentials", {
+      code: "INVALID_CREDENTIALS",
     });
   }
+
+  await clearLoginFailures("Admin", email);
+
+  // Start a session with an access and refresh token
+  const tokens = await createSession(admin, "Admin", req);
+
+  res.json({
+    success: true,
+    message: "Admin login successful",
+    ...tokens,
+    admin: {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      role: getRole(admin),
+      permissions: getPermissions(admin),
+    },
+  });
 };
 
 export const getAdminDashboard = async (req, res) => {
-  try {
-    // Get statistics
-    const totalArticles = await Article.countDocuments();
-    const pendingArticles = await Article.countDocuments({status: "pending"});
-    const publishedArticles = await Article.countDocuments({
-      status: "published",
-    });
-    const rejectedArticles = await Article.countDocuments({status: "rejected"});
-    const totalUsers = await User.countDocuments();
-
-    // Get recent articles
-    const recentArticles = await Article.find()
-      .populate("author", "username")
-      .sort({createdAt: -1})
-      .limit(10)
-      .select("title status createdAt author");
-
-    // Get recent users
-    const recentUsers = await User.find()
-      .sort({createdAt: -1})
-      .limit(5)
-      .select("username email createdAt");
-
-    res.json({
-      success: true,
-      data: {
-        admin: {
-          id: req.user._id,
-          username: req.user.username,
-          email: req.user.email,
-        },
-        stats: {
-          totalArticles,
-          pendingArticles,
-          publishedArticles,
-          rejectedArticles,
-          totalUsers,
-        },
-        recentArticles,
-        recentUsers,
+  // Get statistics
+  const totalArticles = await Article.countDocuments(submittedOnly);
+  const pendingArticles = await Article.countDocuments({status: "pending"});
+  const publishedArticles = await Article.countDocuments({
+    status: "published",
+  });
+  const scheduledArticles = await Article.countDocuments({
+    status: "scheduled",
+  });
+  const rejectedArticles = await Article.countDocuments({status: "rejected"});
+  const totalUsers = await User.countDocuments();
+
+  // Get recent articles
+  const recentArticles = await Article.find(submittedOnly)
+    .populate("author", "username")
+    .sort({createdAt: -1})
+    .limit(10)
+    .select("title status createdAt author");
+
+  // Get recent users
+  const recentUsers = await User.find()
+    .sort({createdAt: -1})
+    .limit(5)
+    .select(userFieldsFor(req.user, "username createdAt"));
+
+  res.json({
+    success: true,
+    data: {
+      admin: {
+        id: req.user._id,
+        username: req.user.username,
+        email: req.user.email,
       },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching admin dashboard data",
-      error: error.message,
-    });
-  }
+      stats: {
+        totalArticles,
+        pendingArticles,
+        publishedArticles,
+        scheduledArticles,
+        rejectedArticles,
+        totalUsers,
+      },
+      recentArticles,
+      recentUsers,
+    },
+  });
 };
 
 // Article Management Controllers
 export const getPendingArticles = async (req, res) => {
-  try {
-    const {page = 1, limit = 10} = req.query;
-
-    const articles = await Article.find({status: "pending"})
-      .populate("author", "username email")
-      .sort({createdAt: -1})
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Article.countDocuments({status: "pending"});
-
-    res.json({
-      success: true,
-      data: {
-        articles,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        total,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching pending articles",
-      error: error.message,
-    });
+  const pagination = parsePagination(req.query, {defaultMode: "page"});
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
   }
+
+  // Old drafts can be submitted late, so order by submission time
+  const {items: articles, pageInfo} = await paginate(
+    Article,
+    {status: "pending"},
+    pagination,
+    {
+      sortField: "submittedAt",
+      build: (find) =>
+        find.populate("author", userFieldsFor(req.user, PUBLIC_AUTHOR_FIELDS)),
+    }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      articles,
+      ...pageInfo,
+    },
+  });
 };
 
 export const getAllArticlesAdmin = async (req, res) => {
-  try {
-    const {page = 1, limit = 10, status, search} = req.query;
-
-    // Build query
-    let query = {};
+  const {status, search} = req.query;
+  const pagination = parsePagination(req.query, {defaultMode: "page"});
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
 
-    if (status && ["pending", "published", "rejected"].includes(status)) {
-      query.status = status;
-    }
+  // Build query
+  let query = {...submittedOnly};
 
-    if (search) {
-      query.$or = [
-        {title: {$regex: search, $options: "i"}},
-        {shortDescription: {$regex: search, $options: "i"}},
-        {categoryTags: {$in: [new RegExp(search, "i")]}},
-      ];
-    }
+  if (status && ADMIN_VISIBLE_STATUSES.includes(status)) {
+    query.status = status;
+  }
 
-    const articles = await Article.find(query)
-      .populate("author", "username email")
-      .sort({createdAt: -1})
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Article.countDocuments(query);
-
-    res.json({
-      success: true,
-      data: {
-        articles,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        total,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching articles",
-      error: error.message,
-    });
+  if (search) {
+    query.$or = buildRegexSearch(
+      search,
+      ["title", "shortDescription"],
+      ["categoryTags"]
+    );
   }
+
+  const {items: articles, pageInfo} = await paginate(
+    Article,
+    query,
+    pagination,
+    {
+      build: (find) =>
+        find.populate("author", userFieldsFor(req.user, PUBLIC_AUTHOR_FIELDS)),
+    }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      articles,
+      ...pageInfo,
+    },
+  });
 };
 
 export const getArticleByIdAdmin = async (req, res) => {
-  try {
-    const {id} = req.params;
-
-    const article = await Article.findById(id).populate(
-      "author",
-      "username email"
-    );
+  const {id} = req.params;
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
-      });
-    }
+  const article = await Article.findOne({_id: id, ...submittedOnly})
+    .populate("author", userFieldsFor(req.user, PUBLIC_AUTHOR_FIELDS))
+    .populate("moderationHistory.actor", "username");
 
-    res.json({
-      success: true,
-      data: {article},
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching article",
-      error: error.message,
-    });
+  if (!article) {
+    throw new NotFoundError("Article not found");
   }
+
+  res.json({
+    success: true,
+    data: {article},
+  });
 };
 
 export const approveArticle = async (req, res) => {
-  try {
-    const {id} = req.params;
-
-    const article = await Article.findById(id);
+  const {id} = req.params;
+  // Approving without a body is allowed, it publishes right away
+  const {publishAt, expireAt} = req.body ?? {};
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
-      });
-    }
+  const article = await Article.findById(id);
 
-    if (article.status !== "pending") {
-      return res.status(400).json({
-        success: false,
-        message: "Only pending articles can be approved",
-      });
-    }
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
 
-    article.status = "published";
-    article.publishedDate = new Date();
-    await article.save();
+  if (article.status !== "pending") {
+    throw new BadRequestError("Only pending articles can be approved");
+  }
 
-    // Populate author info for response
-    await article.populate("author", "username email");
+  const now = new Date();
+  // Both dates are parsed by the route validator
+  const publishDate = publishAt ?? now;
+  const expireDate = expireAt;
 
-    res.json({
-      success: true,
-      message: "Article approved and published successfully",
-      article,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error approving article",
-      error: error.message,
-    });
+  if (expireDate && expireDate <= (publishDate > now ? publishDate : now)) {
+    throw new BadRequestError("expireAt must be later than the publish time");
   }
+
+  const isScheduled = publishDate > now;
+
+  article.transitionTo(isScheduled ? "scheduled" : "published", {
+    actor: req.user._id,
+  });
+  article.publishAt = isScheduled ? publishDate : undefined;
+  article.expireAt = expireDate;
+  article.scheduledBy = req.user._id;
+  article.publishedDate = isScheduled ? publishDate : now;
+  await article.save();
+
+  scheduleArticle(article);
+
+  // Populate author info for response
+  await article.populate(
+    "author",
+    userFieldsFor(req.user, PUBLIC_AUTHOR_FIELDS)
+  );
+
+  res.json({
+    success: true,
+    message: isScheduled
+      ? "Article approved and scheduled for publishing"
+      : "Article approved and published successfully",
+    article,
+  });
 };
 
 export const rejectArticle = async (req, res) => {
-  try {
-    const {id} = req.params;
-    const {reason} = req.body;
+  const {id} = req.params;
+  const {reason} = req.body;
 
-    const article = await Article.findById(id);
+  const article = await Article.findById(id);
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
-      });
-    }
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
 
-    if (article.status !== "pending") {
-      return res.status(400).json({
-        success: false,
-        message: "Only pending articles can be rejected",
-      });
-    }
+  if (article.status !== "pending") {
+    throw new BadRequestError("Only pending articles can be rejected");
+  }
 
-    article.status = "rejected";
-    if (reason) {
-      article.rejectionReason = reason;
-    }
-    await article.save();
+  article.transitionTo("rejected", {actor: req.user._id, reason});
+  await article.save();
 
-    // Populate author info for response
-    await article.populate("author", "username email");
+  // Populate author info for response
+  await article.populate(
+    "author",
+    userFieldsFor(req.user, PUBLIC_AUTHOR_FIELDS)
+  );
 
-    res.json({
-      success: true,
-      message: "Article rejected successfully",
-      article,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error rejecting article",
-      error: error.message,
-    });
-  }
+  res.json({
+    success: true,
+    message: "Article rejected successfully",
+    article,
+  });
 };
 
 export const unpublishArticle = async (req, res) => {
-  try {
-    const {id} = req.params;
-    const {reason} = req.body;
+  const {id} = req.params;
+  const {reason} = req.body;
 
-    const article = await Article.findById(id);
+  const article = await Article.findById(id);
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
-      });
-    }
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
 
-    if (article.status !== "published") {
-      return res.status(400).json({
-        success: false,
-        message: "Only published articles can be unpublished",
-      });
-    }
+  if (!["published", "scheduled"].includes(article.status)) {
+    throw new BadRequestError(
+      "Only published or scheduled articles can be unpublished"
+    );
+  }
 
-    article.status = "rejected";
-    if (reason) {
-      article.rejectionReason = reason;
-    }
-    await article.save();
+  article.transitionTo("rejected", {actor: req.user._id, reason});
+  article.publishAt = undefined;
+  article.expireAt = undefined;
+  await article.save();
 
-    // Populate author info for response
-    await article.populate("author", "username email");
+  cancelSchedule(article._id);
 
-    res.json({
-      success: true,
-      message: "Article unpublished successfully",
-      article,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error unpublishing article",
-      error: error.message,
-    });
-  }
+  // Populate author info for response
+  await article.populate(
+    "author",
+    userFieldsFor(req.user, PUBLIC_AUTHOR_FIELDS)
+  );
+
+  res.json({
+    success: true,
+    message: "Article unpublished successfully",
+    article,
+  });
 };
 
-export const deleteArticleAdmin = async (req, res) => {
-  try {
-    const {id} = req.params;
+// Replaced slugs are kept so existing links redirect to the new one
+export const updateArticleSlug = async (req, res) => {
+  const {id} = req.params;
+  const {slug} = req.body;
+
+  const article = await Article.findOne({_id: id, ...submittedOnly});
 
-    const article = await Article.findByIdAndDelete(id);
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
+  if (slug !== article.slug) {
+    const taken = await Article.exists({
+      _id: {$ne: article._id},
+      $or: [{slug}, {previousSlugs: slug}],
+    });
+    if (taken) {
+      throw new ConflictError("Slug is already used by another article", {
+        code: "SLUG_TAKEN",
       });
     }
 
-    res.json({
-      success: true,
-      message: "Article deleted successfully",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error deleting article",
-      error: error.message,
-    });
+    article.previousSlugs = [
+      ...article.previousSlugs.filter((previous) => previous !== slug),
+      ...(article.slug ? [article.slug] : []),
+    ];
+    article.slug = slug;
+    await article.save();
   }
+
+  res.json({
+    success: true,
+    message: "Article slug updated successfully",
+    article: {
+      id: article._id,
+      slug: article.slug,
+      previousSlugs: article.previousSlugs,
+    },
+  });
+};
+
+export const deleteArticleAdmin = async (req, res) => {
+  const {id} = req.params;
+
+  const article = await Article.findOneAndDelete({_id: id, ...submittedOnly});
+
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
+
+  await Revision.deleteMany({article: article._id});
+  await Comment.deleteMany({article: article._id});
+  await Like.deleteMany({article: article._id});
+  await Bookmark.deleteMany({article: article._id});
+  await View.deleteMany({article: article._id});
+  await deleteArticleMedia(article._id);
+  cancelSchedule(article._id);
+
+  res.json({
+    success: true,
+    message: "Article deleted successfully",
+  });
 };
 
 // User Management Controllers
 export const getAllUsers = async (req, res) => {
-  try {
-    const {page = 1, limit = 10, search} = req.query;
+  const {search, verified, restricted} = req.query;
+  const pagination = parsePagination(req.query, {defaultMode: "page"});
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
 
-    let query = {};
+  let query = {};
 
-    if (search) {
-      query.$or = [
-        {username: {$regex: search, $options: "i"}},
-        {email: {$regex: search, $options: "i"}},
-      ];
-    }
+  if (search) {
+    query.$or = buildRegexSearch(search, ["username", "email"]);
+  }
 
-    const users = await User.find(query)
-      .select("-password")
-      .sort({createdAt: -1})
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await User.countDocuments(query);
-
-    // Get article counts for each user
-    const usersWithStats = await Promise.all(
-      users.map(async (user) => {
-        const articleCount = await Article.countDocuments({author: user._id});
-        const publishedCount = await Article.countDocuments({
-          author: user._id,
-          status: "published",
-        });
-        return {
-          ...user.toObject(),
-          articleCount,
-          publishedCount,
-        };
-      })
-    );
+  if (restricted) {
+    query = User.activeRestrictionFilter(query);
+  }
 
-    res.json({
-      success: true,
-      data: {
-        users: usersWithStats,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        total,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching users",
-      error: error.message,
-    });
+  // Accounts without the flag predate verification and count as verified
+  if (verified === true) {
+    query.emailVerified = {$ne: false};
+  } else if (verified === false) {
+    query.emailVerified = false;
   }
-};
 
-export const getUserArticles = async (req, res) => {
-  try {
-    const {id} = req.params;
-    const {page = 1, limit = 10, status} = req.query;
-
-    // Verify user exists
-    const user = await User.findById(id).select("-password");
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
+  // Users have no timestamps, _id order is creation order
+  const {items: users, pageInfo} = await paginate(User, query, pagination, {
+    sortField: "_id",
+    build: (find) => find.select("-password -verificationSentAt"),
+  });
+
+  // Get article counts for each user
+  const usersWithStats = await Promise.all(
+    users.map(async (user) => {
+      const articleCount = await Article.countDocuments({
+        author: user._id,
+        ...submittedOnly,
       });
-    }
+      const publishedCount = await Article.countDocuments({
+        author: user._id,
+        status: "published",
+      });
+      return {
+        ...user.toObject(),
+        emailVerified: user.isEmailVerified,
+        restriction: user.activeRestriction,
+        articleCount,
+        publishedCount,
+      };
+    })
+  );
+
+  res.json({
+    success: true,
+    data: {
+      users: usersWithStats,
+      ...pageInfo,
+    },
+  });
+};
 
-    let query = {author: id};
+// Restrict or reinstate a user, every change is kept in restrictionHistory
+const applyRestriction = async (req, res, buildRestriction, successMessage) => {
+  const {id} = req.params;
 
-    if (status && ["pending", "published", "rejected"].includes(status)) {
-      query.status = status;
-    }
+  const user = await User.findById(id).select("-password");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
 
-    const articles = await Article.find(query)
-      .sort({createdAt: -1})
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+  const result = buildRestriction(user, req.body ?? {});
+  if (result.error) {
+    throw new BadRequestError(result.error);
+  }
 
-    const total = await Article.countDocuments(query);
+  const entry = {...result.restriction, by: req.user._id};
+  user.restrictionHistory.push(entry);
+  user.restriction = entry.action === "lift" ? null : entry;
+  await user.save();
 
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-        },
-        articles,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        total,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching user articles",
-      error: error.message,
-    });
+  // Kick the user out of every device right away
+  if (entry.action !== "lift") {
+    await revokeAllSessions(user._id, {reason: `User ${entry.action}`});
   }
+
+  res.json({
+    success: true,
+    message: successMessage,
+    user: {
+      id: user._id,
+      username: user.username,
+      restriction: user.restriction,
+      restrictionHistory: user.restrictionHistory,
+    },
+  });
 };
 
-// Analytics Controller
-export const getAnalytics = async (req, res) => {
-  try {
-    const {period = "month"} = req.query;
-
-    // Calculate date range
-    let startDate;
-    const endDate = new Date();
-
-    switch (period) {
-      case "week":
-        startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case "month":
-        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case "year":
-        startDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    }
+export const suspendUser = (req, res) =>
+  applyRestriction(
+    req,
+    res,
+    (user, {reason, durationHours, until, hideArticles}) => {
+      const end = until
+        ? new Date(until)
+        : new Date(Date.now() + Number(durationHours) * 60 * 60 * 1000);
+
+      if (isNaN(end) || end <= new Date()) {
+        return {error: "Provide a future until date or positive durationHours"};
+      }
+      if (user.activeRestriction?.action === "ban") {
+        return {error: "User is banned, lift the ban first"};
+      }
+
+      return {
+        restriction: {
+          action: "suspend",
+          reason,
+          until: end,
+          hideArticles: Boolean(hideArticles),
+        },
+      };
+    },
+    "User suspended successfully"
+  );
+
+export const banUser = (req, res) =>
+  applyRestriction(
+    req,
+    res,
+    (user, {reason, hideArticles}) => {
+      return {
+        restriction: {
+          action: "ban",
+          reason,
+          hideArticles: Boolean(hideArticles),
+        },
+      };
+    },
+    "User banned successfully"
+  );
+
+export const liftRestriction = (req, res) =>
+  applyRestriction(
+    req,
+    res,
+    (user, {reason}) => {
+      if (!user.activeRestriction) {
+        return {error: "User is not suspended or banned"};
+      }
+
+      return {restriction: {action: "lift", reason}};
+    },
+    "User restriction lifted successfully"
+  );
 
-    // Get articles created in period
-    const articlesInPeriod = await Article.countDocuments({
-      createdAt: {$gte: startDate, $lte: endDate},
-    });
+export const getUserArticles = async (req, res) => {
+  const {id} = req.params;
+  const {status} = req.query;
+  const pagination = parsePagination(req.query, {defaultMode: "page"});
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
 
-    const publishedInPeriod = await Article.countDocuments({
-      createdAt: {$gte: startDate, $lte: endDate},
-      status: "published",
-    });
+  // Verify user exists
+  const user = await User.findById(id).select("-password");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
 
-    const usersInPeriod = await User.countDocuments({
-      createdAt: {$gte: startDate, $lte: endDate},
-    });
+  let query = {author: id, ...submittedOnly};
 
-    // Get most active authors
-    const topAuthors = await Article.aggregate([
-      {$match: {status: "published"}},
-      {$group: {_id: "$author", count: {$sum: 1}}},
-      {$sort: {count: -1}},
-      {$limit: 5},
-      {
-        $lookup: {
-          from: "users",
-          localField: "_id",
-          foreignField: "_id",
-          as: "author",
-        },
+  if (status && ADMIN_VISIBLE_STATUSES.includes(status)) {
+    query.status = status;
+  }
+
+  const {items: articles, pageInfo} = await paginate(
+    Article,
+    query,
+    pagination
+  );
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
       },
-      {$unwind: "$author"},
-      {
-        $project: {
-          _id: 1,
-          count: 1,
-          username: "$author.username",
+      articles,
+      ...pageInfo,
+    },
+  });
+};
+
+// Analytics Controller
+export const getAnalytics = async (req, res) => {
+  const {period = "month"} = req.query;
+
+  // Calculate date range
+  const {startDate, endDate} = getPeriodRange(period);
+
+  // Get articles created in period (drafts are counted separately)
+  const articlesInPeriod = await Article.countDocuments({
+    createdAt: {$gte: startDate, $lte: endDate},
+    ...submittedOnly,
+  });
+
+  const draftsInPeriod = await Article.countDocuments({
+    createdAt: {$gte: startDate, $lte: endDate},
+    status: "draft",
+  });
+
+  const publishedInPeriod = await Article.countDocuments({
+    createdAt: {$gte: startDate, $lte: endDate},
+    status: "published",
+  });
+
+  const usersInPeriod = await User.countDocuments({
+    createdAt: {$gte: startDate, $lte: endDate},
+  });
+
+  // Get most active authors
+  const topAuthors = await Article.aggregate([
+    {$match: {status: "published"}},
+    {$group: {_id: "$author", count: {$sum: 1}}},
+    {$sort: {count: -1}},
+    {$limit: 5},
+    {
+      $lookup: {
+        from: "users",
+        localField: "_id",
+        foreignField: "_id",
+        as: "author",
+      },
+    },
+    {$unwind: "$author"},
+    {
+      $project: {
+        _id: 1,
+        count: 1,
+        username: "$author.username",
+        ...(hasPermission(req.user, "users:read") && {
           email: "$author.email",
-        },
+        }),
       },
-    ]);
-
-    // Get popular categories
-    const popularCategories = await Article.aggregate([
-      {$match: {status: "published"}},
-      {$unwind: "$categoryTags"},
-      {$group: {_id: "$categoryTags", count: {$sum: 1}}},
-      {$sort: {count: -1}},
-      {$limit: 10},
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        period,
-        startDate,
-        endDate,
-        stats: {
-          articlesInPeriod,
-          publishedInPeriod,
-          usersInPeriod,
-        },
-        topAuthors,
-        popularCategories,
+    },
+  ]);
+
+  // Get most liked published articles, filtered before ranking so likes on
+  // unpublished or deleted articles can't push published ones out
+  const mostLiked = await Like.aggregate([
+    {$group: {_id: "$article", likes: {$sum: 1}}},
+    {
+      $lookup: {
+        from: "articles",
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [
+          {$match: {status: "published"}},
+          {$project: {title: 1, author: 1}},
+        ],
+        as: "article",
       },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching analytics",
-      error: error.message,
-    });
+    },
+    {$unwind: "$article"},
+    {$sort: {likes: -1}},
+    {$limit: 5},
+    {
+      $project: {
+        _id: 1,
+        likes: 1,
+        title: "$article.title",
+        author: "$article.author",
+      },
+    },
+  ]);
+
+  // Get most read articles in period
+  const mostRead = await getMostViewed({startDate, endDate});
+
+  const viewsInPeriod = await View.countDocuments({
+    viewedAt: {$gte: startDate, $lte: endDate},
+  });
+
+  // Get popular categories
+  const popularCategories = await Article.aggregate([
+    {$match: {status: "published"}},
+    {$unwind: "$categoryTags"},
+    {$group: {_id: "$categoryTags", count: {$sum: 1}}},
+    {$sort: {count: -1}},
+    {$limit: 10},
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      period,
+      startDate,
+      endDate,
+      stats: {
+        articlesInPeriod,
+        draftsInPeriod,
+        publishedInPeriod,
+        usersInPeriod,
+        viewsInPeriod,
+      },
+      topAuthors,
+      mostLiked,
+      mostRead,
+      popularCategories,
+    },
+  });
+};
+
+// Admin Role Management Controllers
+export const getAdmins = async (req, res) => {
+  const admins = await Admin.find()
+    .select("-password")
+    .populate("invitedBy", "username email")
+    .sort({_id: 1});
+
+  res.json({
+    success: true,
+    data: {
+      admins: admins.map((admin) => ({
+        id: admin._id,
+        username: admin.username,
+        email: admin.email,
+        role: getRole(admin),
+        permissions: getPermissions(admin),
+        invitedBy: admin.invitedBy,
+      })),
+      roles: ADMIN_ROLES,
+    },
+  });
+};
+
+export const updateAdminRole = async (req, res) => {
+  const {id} = req.params;
+  const {role} = req.body ?? {};
+
+  const admin = await Admin.findById(id).select("-password");
+
+  if (!admin) {
+    throw new NotFoundError("Admin not found");
+  }
+
+  // Never leave the site without a super-admin
+  if (getRole(admin) === "super-admin" && role !== "super-admin") {
+    const superAdmins = await Admin.countDocuments(SUPER_ADMIN_FILTER);
+    if (superAdmins <= 1) {
+      throw new BadRequestError(
+        "Cannot change the role of the last super-admin"
+      );
+    }
   }
+
+  admin.role = role;
+  await admin.save();
+
+  res.json({
+    success: true,
+    message: "Admin role updated successfully",
+    admin: {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      role: getRole(admin),
+      permissions: getPermissions(admin),
+    },
+  });
 };
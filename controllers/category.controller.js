@@ -0,0 +1,206 @@
+import Category from "../models/category.models.js";
+import Article from "../models/article.models.js";
+import CategoryFollow from "../models/categoryFollow.models.js";
+import {SLUG_PATTERN, slugify} from "../utils/slug.js";
+import {
+  checkCategoryParent,
+  isWithinCategory,
+  getCategoryCounts,
+  replaceArticleTag,
+} from "../utils/categories.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+const categoryExists = () =>
+  new ConflictError("A category with this name or slug already exists", {
+    code: "CATEGORY_EXISTS",
+  });
+
+// Names without Latin letters or digits (or that read as an id) need an explicit slug
+const categorySlug = ({name, slug}) => {
+  const result = slug || slugify(name);
+  if (!SLUG_PATTERN.test(result)) {
+    throw new BadRequestError(
+      "A slug is required, none can be generated from this name",
+      {code: "SLUG_REQUIRED"}
+    );
+  }
+  return result;
+};
+
+const findCategory = async (id) => {
+  const category = await Category.findById(id);
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+  return category;
+};
+
+// Public listing, with the number of published articles in each category
+export const getCategories = async (req, res) => {
+  const categories = await Category.find()
+    .sort({name: 1})
+    .select("name slug description parent");
+  const counts = await getCategoryCounts();
+
+  res.json({
+    success: true,
+    data: {
+      categories: categories.map((category) => ({
+        ...category.toObject(),
+        articleCount: counts.get(category.slug) || 0,
+      })),
+    },
+  });
+};
+
+export const createCategory = async (req, res) => {
+  const {name, description, parent} = req.body;
+  const slug = categorySlug(req.body);
+
+  if (await Category.exists({$or: [{name}, {slug}]})) {
+    throw categoryExists();
+  }
+
+  if (parent) {
+    await checkCategoryParent(parent);
+  }
+
+  const category = await Category.create({name, slug, description, parent});
+
+  res.status(201).json({
+    success: true,
+    message: "Category created successfully",
+    category,
+  });
+};
+
+// Description and position in the tree, renaming goes through renameCategory
+export const updateCategory = async (req, res) => {
+  const {id} = req.params;
+  const {description, parent} = req.body;
+
+  const category = await findCategory(id);
+
+  if (parent) {
+    await checkCategoryParent(parent, category);
+  }
+
+  if (description !== undefined) category.description = description;
+  if (parent !== undefined) category.parent = parent;
+  await category.save();
+
+  res.json({
+    success: true,
+    message: "Category updated successfully",
+    category,
+  });
+};
+
+// A new slug is written to every article and revision using the old one
+export const renameCategory = async (req, res) => {
+  const {id} = req.params;
+  const {name} = req.body;
+  const slug = categorySlug(req.body);
+
+  const category = await findCategory(id);
+
+  const taken = await Category.exists({
+    _id: {$ne: category._id},
+    $or: [{name}, {slug}],
+  });
+  if (taken) {
+    throw categoryExists();
+  }
+
+  const previousSlug = category.slug;
+  category.name = name;
+  category.slug = slug;
+  await category.save();
+
+  const articlesUpdated =
+    slug !== previousSlug ? await replaceArticleTag(previousSlug, slug) : 0;
+
+  res.json({
+    success: true,
+    message: "Category renamed successfully",
+    category,
+    articlesUpdated,
+  });
+};
+
+// Move articles and subcategories into another category, then delete this one
+export const mergeCategory = async (req, res) => {
+  const {id} = req.params;
+  const {into} = req.body;
+
+  if (id === into) {
+    throw new BadRequestError("A category can't be merged into itself");
+  }
+
+  const source = await findCategory(id);
+  const target = await Category.findById(into);
+  if (!target) {
+    throw new NotFoundError("Target category not found");
+  }
+
+  const articlesUpdated = await replaceArticleTag(source.slug, target.slug);
+
+  // Followers of both keep a single follow of the target
+  const targetFollowers = await CategoryFollow.find({
+    category: target._id,
+  }).distinct("user");
+  await CategoryFollow.deleteMany({
+    category: source._id,
+    user: {$in: targetFollowers},
+  });
+  await CategoryFollow.updateMany(
+    {category: source._id},
+    {category: target._id}
+  );
+
+  // A subcategory that absorbs an ancestor takes over the ancestor's place
+  if (await isWithinCategory(target, source)) {
+    target.parent = source.parent;
+    await target.save();
+  }
+  await Category.updateMany(
+    {parent: source._id, _id: {$ne: target._id}},
+    {parent: target._id}
+  );
+  await source.deleteOne();
+
+  res.json({
+    success: true,
+    message: `Category merged into "${target.name}" successfully`,
+    category: target,
+    articlesUpdated,
+  });
+};
+
+// Only unused categories can be deleted, merge a category to retire it
+export const deleteCategory = async (req, res) => {
+  const {id} = req.params;
+
+  const category = await findCategory(id);
+
+  if (await Article.exists({categoryTags: category.slug})) {
+    throw new ConflictError(
+      "Category is used by articles, merge it into another category instead",
+      {code: "CATEGORY_IN_USE"}
+    );
+  }
+
+  // Subcategories move up a level
+  await Category.updateMany({parent: category._id}, {parent: category.parent});
+  await CategoryFollow.deleteMany({category: category._id});
+  await category.deleteOne();
+
+  res.json({
+    success: true,
+    message: "Category deleted successfully",
+  });
+};
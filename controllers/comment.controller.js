@@ -0,0 +1,272 @@
+import Article from "../models/article.models.js";
+import {publicArticleFilter} from "../utils/visibility.js";
+import Comment from "../models/comment.models.js";
+import {PUBLIC_AUTHOR_FIELDS} from "../models/user.models.js";
+import {parsePagination, paginate} from "../utils/pagination.js";
+import {userFieldsFor} from "../utils/permissions.js";
+import {BadRequestError, NotFoundError} from "../utils/errors.js";
+
+// Comments are only allowed on articles the public can see
+const findPublishedArticle = async (id) =>
+  Article.exists(await publicArticleFilter({_id: id}));
+
+// Shape a comment for readers, deleted comments keep their place in the thread
+const toPublicComment = (comment) => {
+  const data = comment.toObject();
+  if (data.status === "deleted") {
+    data.body = "[deleted]";
+    data.author = null;
+  }
+  return {...data, replies: []};
+};
+
+// Nest replies under their parents, replies to removed comments are dropped
+const buildThreads = (roots, replies) => {
+  const byId = new Map();
+  const threads = roots.map(toPublicComment);
+  threads.forEach((comment) => byId.set(comment._id.toString(), comment));
+
+  for (const reply of replies) {
+    const parent = byId.get(reply.parent.toString());
+    if (parent) {
+      const node = toPublicComment(reply);
+      parent.replies.push(node);
+      byId.set(node._id.toString(), node);
+    }
+  }
+
+  return threads;
+};
+
+// Visible comment counts for a set of articles, keyed by article id
+export const getCommentCounts = async (articleIds) => {
+  const counts = await Comment.aggregate([
+    {$match: {article: {$in: articleIds}, status: "visible"}},
+    {$group: {_id: "$article", count: {$sum: 1}}},
+  ]);
+  return new Map(counts.map(({_id, count}) => [_id.toString(), count]));
+};
+
+export const getComments = async (req, res) => {
+  const {id} = req.params;
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
+
+  if (!(await findPublishedArticle(id))) {
+    throw new NotFoundError("Article not found or not published");
+  }
+
+  const query = {article: id, root: null, status: {$ne: "hidden"}};
+
+  const {items: roots, pageInfo} = await paginate(Comment, query, pagination, {
+    build: (find) => find.populate("author", PUBLIC_AUTHOR_FIELDS),
+  });
+
+  // Replies are loaded per thread, oldest first
+  const replies = await Comment.find({
+    root: {$in: roots.map((comment) => comment._id)},
+    status: {$ne: "hidden"},
+  })
+    .populate("author", PUBLIC_AUTHOR_FIELDS)
+    .sort({createdAt: 1});
+
+  res.json({
+    success: true,
+    data: {
+      comments: buildThreads(roots, replies),
+      ...pageInfo,
+    },
+  });
+};
+
+export const createComment = async (req, res) => {
+  const {id} = req.params;
+  const {body, parentId} = req.body;
+
+  if (!(await findPublishedArticle(id))) {
+    throw new NotFoundError("Article not found or not published");
+  }
+
+  let parent = null;
+  if (parentId) {
+    parent = await Comment.findOne({
+      _id: parentId,
+      article: id,
+      status: "visible",
+    });
+
+    if (!parent) {
+      throw new NotFoundError("Comment to reply to was not found");
+    }
+  }
+
+  const comment = new Comment({
+    article: id,
+    author: req.user._id,
+    parent: parent ? parent._id : null,
+    root: parent ? parent.root || parent._id : null,
+    body,
+  });
+
+  await comment.save();
+  await comment.populate("author", PUBLIC_AUTHOR_FIELDS);
+
+  res.status(201).json({
+    success: true,
+    message: "Comment added successfully",
+    comment,
+  });
+};
+
+export const updateComment = async (req, res) => {
+  const {commentId} = req.params;
+  const {body} = req.body;
+
+  const comment = await Comment.findOne({
+    _id: commentId,
+    author: req.user._id,
+    status: "visible",
+  });
+
+  if (!comment) {
+    throw new NotFoundError(
+      "Comment not found or you don't have permission to edit it"
+    );
+  }
+
+  comment.body = body;
+  comment.editedAt = new Date();
+  await comment.save();
+
+  res.json({
+    success: true,
+    message: "Comment updated successfully",
+    comment,
+  });
+};
+
+export const deleteComment = async (req, res) => {
+  const {commentId} = req.params;
+
+  const comment = await Comment.findOne({
+    _id: commentId,
+    author: req.user._id,
+    status: {$ne: "deleted"},
+  });
+
+  if (!comment) {
+    throw new NotFoundError(
+      "Comment not found or you don't have permission to delete it"
+    );
+  }
+
+  // Keep a placeholder when others have replied so the thread stays intact
+  const hasReplies = await Comment.exists({parent: comment._id});
+  if (hasReplies) {
+    comment.status = "deleted";
+    await comment.save();
+  } else {
+    await comment.deleteOne();
+  }
+
+  res.json({
+    success: true,
+    message: "Comment deleted successfully",
+  });
+};
+
+// Admin Moderation Controllers
+export const getRecentComments = async (req, res) => {
+  const {status} = req.query;
+  const pagination = parsePagination(req.query, {
+    defaultLimit: 20,
+    defaultMode: "page",
+  });
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
+
+  let query = {};
+
+  if (status && ["visible", "hidden", "deleted"].includes(status)) {
+    query.status = status;
+  }
+
+  const {items: comments, pageInfo} = await paginate(
+    Comment,
+    query,
+    pagination,
+    {
+      build: (find) =>
+        find
+          .populate("author", userFieldsFor(req.user, PUBLIC_AUTHOR_FIELDS))
+          .populate("article", "title"),
+    }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      comments,
+      ...pageInfo,
+    },
+  });
+};
+
+const setCommentStatus = async (req, res, from, to, action) => {
+  const {commentId} = req.params;
+
+  const comment = await Comment.findOneAndUpdate(
+    {_id: commentId, status: from},
+    {status: to},
+    {new: true}
+  );
+
+  if (!comment) {
+    throw new NotFoundError(`Comment not found or cannot be ${action}`);
+  }
+
+  res.json({
+    success: true,
+    message: `Comment ${action} successfully`,
+    comment,
+  });
+};
+
+export const hideComment = (req, res) =>
+  setCommentStatus(req, res, "visible", "hidden", "hidden");
+
+export const unhideComment = (req, res) =>
+  setCommentStatus(req, res, "hidden", "visible", "restored");
+
+export const deleteCommentAdmin = async (req, res) => {
+  const {commentId} = req.params;
+
+  const comment = await Comment.findByIdAndDelete(commentId);
+
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  // Remove the replies along with it
+  if (comment.root) {
+    // Nested replies only link to their parent, so walk the tree down
+    let parents = [comment._id];
+    while (parents.length > 0) {
+      const children = await Comment.find({parent: {$in: parents}}).select(
+        "_id"
+      );
+      await Comment.deleteMany({parent: {$in: parents}});
+      parents = children.map((child) => child._id);
+    }
+  } else {
+    await Comment.deleteMany({root: comment._id});
+  }
+
+  res.json({
+    success: true,
+    message: "Comment deleted successfully",
+  });
+};
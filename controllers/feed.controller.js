@@ -0,0 +1,124 @@
+import Article, {LISTED_ARTICLE_FIELDS} from "../models/article.models.js";
+import User, {PUBLIC_AUTHOR_FIELDS} from "../models/user.models.js";
+import {appUrl} from "../utils/mail/index.js";
+import {
+  FEED_FORMATS,
+  buildAtom,
+  buildRss,
+  buildSitemap,
+} from "../utils/feeds.js";
+import {publicArticleFilter} from "../utils/visibility.js";
+import {categoryFilterSlug} from "../utils/categories.js";
+import {NotFoundError} from "../utils/errors.js";
+
+const SITE_NAME = process.env.SITE_NAME || "Articles";
+
+// Number of latest articles in each feed
+const FEED_SIZE = 20;
+
+// Sitemaps are limited to 50,000 URLs by the protocol
+const SITEMAP_SIZE = 50000;
+
+// Readers may reuse a feed for this long before asking again
+const CACHE_MAX_AGE_SECONDS = 300;
+
+const builders = {rss: buildRss, atom: buildAtom};
+
+/**
+ * Send an XML document with caching headers. Express adds an ETag from the
+ * body and answers If-None-Match with 304. There is deliberately no
+ * Last-Modified: articles dropping out of a feed (unpublished or deleted)
+ * leave no newer date behind, so If-Modified-Since would get stale 304s.
+ */
+const sendXml = (res, type, body) => {
+  res.set("Cache-Control", `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+  res.type(type).send(body);
+};
+
+// Latest change among the articles for lastBuildDate / <updated>, an empty
+// feed counts as never modified
+const lastUpdated = (articles) =>
+  new Date(
+    Math.max(0, ...articles.map((article) => article.updatedAt.getTime()))
+  );
+
+// Latest articles matching a public article filter, newest first
+const sendFeed = async (req, res, feed, query) => {
+  const {format} = req.params;
+
+  const articles = await Article.find(query)
+    .populate("author", PUBLIC_AUTHOR_FIELDS)
+    .sort({publishedDate: -1})
+    .limit(FEED_SIZE)
+    .select(LISTED_ARTICLE_FIELDS);
+
+  const updatedAt = lastUpdated(articles);
+  const body = builders[format](
+    {
+      ...feed,
+      selfUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+      updatedAt,
+    },
+    articles
+  );
+
+  sendXml(res, FEED_FORMATS[format], body);
+};
+
+export const getSiteFeed = async (req, res) =>
+  sendFeed(
+    req,
+    res,
+    {
+      title: SITE_NAME,
+      description: `Latest articles on ${SITE_NAME}`,
+      link: appUrl("/"),
+    },
+    await publicArticleFilter()
+  );
+
+export const getCategoryFeed = async (req, res) => {
+  const category = await categoryFilterSlug(req.params.category);
+
+  return sendFeed(
+    req,
+    res,
+    {
+      title: `${SITE_NAME}: ${category}`,
+      description: `Latest articles tagged "${category}" on ${SITE_NAME}`,
+      link: appUrl("/articles", {category}),
+    },
+    await publicArticleFilter({categoryTags: category})
+  );
+};
+
+export const getAuthorFeed = async (req, res) => {
+  const {username} = req.params;
+
+  const author = await User.findOne({username}).select("username");
+  if (!author) {
+    throw new NotFoundError("Author not found");
+  }
+
+  const query = await publicArticleFilter({author: author._id});
+
+  return sendFeed(
+    req,
+    res,
+    {
+      title: `${SITE_NAME}: ${author.username}`,
+      description: `Latest articles by ${author.username} on ${SITE_NAME}`,
+      link: appUrl(`/authors/${encodeURIComponent(author.username)}`),
+    },
+    query
+  );
+};
+
+export const getSitemap = async (req, res) => {
+  const articles = await Article.find(await publicArticleFilter())
+    .sort({publishedDate: -1})
+    .limit(SITEMAP_SIZE)
+    .select("slug updatedAt");
+
+  sendXml(res, "application/xml", buildSitemap(articles));
+};
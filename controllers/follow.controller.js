@@ -0,0 +1,223 @@
+import Follow from "../models/follow.models.js";
+import CategoryFollow from "../models/categoryFollow.models.js";
+import Category from "../models/category.models.js";
+import Article from "../models/article.models.js";
+import User, {PUBLIC_AUTHOR_FIELDS} from "../models/user.models.js";
+import {parsePagination, paginate} from "../utils/pagination.js";
+import {isHiddenAuthor, publicArticleFilter} from "../utils/visibility.js";
+import {
+  selectListedArticle,
+  toArticleListItems,
+} from "./reaction.controller.js";
+import {BadRequestError, NotFoundError} from "../utils/errors.js";
+
+// Followers and followed authors of a user, shown on profiles and the dashboard
+export const getFollowCounts = async (userId) => {
+  const [followerCount, followingCount] = await Promise.all([
+    Follow.countDocuments({author: userId}),
+    Follow.countDocuments({follower: userId}),
+  ]);
+  return {followerCount, followingCount};
+};
+
+const findAuthor = async (username) => {
+  const author = await User.findOne({username}).select("_id");
+  if (!author) {
+    throw new NotFoundError("Author not found");
+  }
+  return author;
+};
+
+// Like their profile, authors hidden by a restriction can't be followed or
+// have their follows listed. Unfollowing them still works
+const findVisibleAuthor = async (username) => {
+  const author = await findAuthor(username);
+  if (await isHiddenAuthor(author._id)) {
+    throw new NotFoundError("Author not found");
+  }
+  return author;
+};
+
+const findCategory = async (slug) => {
+  const category = await Category.findOne({slug}).select("_id");
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+  return category;
+};
+
+// Same race handling as likes and bookmarks, following twice is not an error
+const upsertFollow = async (Model, filter) => {
+  try {
+    await Model.updateOne(filter, {$setOnInsert: filter}, {upsert: true});
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+const pageOf = (req) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
+  return pagination;
+};
+
+const toFollowEntry = (user, followedAt) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.displayName || user.username,
+  avatar: user.avatar || null,
+  followedAt,
+});
+
+export const followAuthor = async (req, res) => {
+  const author = await findVisibleAuthor(req.params.username);
+
+  if (author._id.equals(req.user._id)) {
+    throw new BadRequestError("You can't follow yourself");
+  }
+
+  await upsertFollow(Follow, {follower: req.user._id, author: author._id});
+
+  res.json({
+    success: true,
+    message: "Author followed successfully",
+  });
+};
+
+export const unfollowAuthor = async (req, res) => {
+  const author = await findAuthor(req.params.username);
+
+  await Follow.deleteOne({follower: req.user._id, author: author._id});
+
+  res.json({
+    success: true,
+    message: "Author unfollowed successfully",
+  });
+};
+
+export const followCategory = async (req, res) => {
+  const category = await findCategory(req.params.slug);
+
+  await upsertFollow(CategoryFollow, {
+    user: req.user._id,
+    category: category._id,
+  });
+
+  res.json({
+    success: true,
+    message: "Category followed successfully",
+  });
+};
+
+export const unfollowCategory = async (req, res) => {
+  const category = await findCategory(req.params.slug);
+
+  await CategoryFollow.deleteOne({user: req.user._id, category: category._id});
+
+  res.json({
+    success: true,
+    message: "Category unfollowed successfully",
+  });
+};
+
+export const getFollowers = async (req, res) => {
+  const pagination = pageOf(req);
+  const author = await findVisibleAuthor(req.params.username);
+
+  const {items: follows, pageInfo} = await paginate(
+    Follow,
+    {author: author._id},
+    pagination,
+    {build: (find) => find.populate("follower", PUBLIC_AUTHOR_FIELDS)}
+  );
+
+  res.json({
+    success: true,
+    data: {
+      followers: follows
+        .filter((follow) => follow.follower)
+        .map((follow) => toFollowEntry(follow.follower, follow.createdAt)),
+      ...pageInfo,
+    },
+  });
+};
+
+export const getFollowing = async (req, res) => {
+  const pagination = pageOf(req);
+  const user = await findVisibleAuthor(req.params.username);
+
+  const {items: follows, pageInfo} = await paginate(
+    Follow,
+    {follower: user._id},
+    pagination,
+    {build: (find) => find.populate("author", PUBLIC_AUTHOR_FIELDS)}
+  );
+
+  res.json({
+    success: true,
+    data: {
+      following: follows
+        .filter((follow) => follow.author)
+        .map((follow) => toFollowEntry(follow.author, follow.createdAt)),
+      ...pageInfo,
+    },
+  });
+};
+
+export const getFollowedCategories = async (req, res) => {
+  const follows = await CategoryFollow.find({user: req.user._id})
+    .sort({createdAt: -1})
+    .populate("category", "name slug description parent");
+
+  res.json({
+    success: true,
+    data: {
+      categories: follows
+        .filter((follow) => follow.category)
+        .map((follow) => ({
+          ...follow.category.toObject(),
+          followedAt: follow.createdAt,
+        })),
+    },
+  });
+};
+
+// Published articles by followed authors or in followed categories, newest first
+export const getFeed = async (req, res) => {
+  const pagination = pageOf(req);
+
+  const [authorIds, categoryIds] = await Promise.all([
+    Follow.find({follower: req.user._id}).distinct("author"),
+    CategoryFollow.find({user: req.user._id}).distinct("category"),
+  ]);
+  const categorySlugs = await Category.find({
+    _id: {$in: categoryIds},
+  }).distinct("slug");
+
+  const query = await publicArticleFilter({
+    $or: [{author: {$in: authorIds}}, {categoryTags: {$in: categorySlugs}}],
+  });
+
+  const {items: articles, pageInfo} = await paginate(
+    Article,
+    query,
+    pagination,
+    {
+      sortField: "publishedDate",
+      build: selectListedArticle,
+    }
+  );
+
+  // Same article shape as the public article list
+  res.json({
+    success: true,
+    data: {
+      articles: await toArticleListItems(articles, req.user._id),
+      ...pageInfo,
+    },
+  });
+};
@@ -0,0 +1,136 @@
+import Invitation from "../models/invitation.models.js";
+import Admin from "../models/admin.models.js";
+import {randomToken, hashToken} from "../utils/tokens.js";
+import {sendMail, appUrl} from "../utils/mail/index.js";
+import {parsePagination, paginate} from "../utils/pagination.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+const DEFAULT_EXPIRY_HOURS = 72;
+
+// Atomically mark a pending invitation as used, returns null when it cannot be used
+export const claimInvitation = (token, email) =>
+  Invitation.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      email: String(email).toLowerCase().trim(),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: {$gt: new Date()},
+    },
+    {acceptedAt: new Date()},
+    {new: true}
+  );
+
+// Give the invitation back when registration fails after claiming it
+export const releaseInvitation = (invitation) =>
+  Invitation.updateOne({_id: invitation._id}, {acceptedAt: null});
+
+export const createInvitation = async (req, res) => {
+  const {role, expiresInHours: hours = DEFAULT_EXPIRY_HOURS} = req.body;
+  // Normalised like the stored invitation email
+  const email = String(req.body.email).toLowerCase().trim();
+
+  // Admin emails keep the case they were registered with, compare without it
+  const adminExists = await Admin.exists({email}).collation({
+    locale: "en",
+    strength: 2,
+  });
+  if (adminExists) {
+    throw new ConflictError("An admin with this email already exists");
+  }
+
+  const token = randomToken();
+  const invitation = await Invitation.create({
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: req.user._id,
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+  });
+
+  const link = appUrl("/admin/register", {token});
+  await sendMail({
+    to: invitation.email,
+    subject: "You have been invited to become an admin",
+    text: [
+      `${req.user.username} invited you to join as ${role}.`,
+      `Use the link below to create your admin account. It expires in ${hours} hours.`,
+      link,
+    ].join("\n\n"),
+  });
+
+  // The token is only ever shown here, it is stored hashed
+  res.status(201).json({
+    success: true,
+    message: "Invitation created successfully",
+    invitation: {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+    },
+    token,
+  });
+};
+
+export const getInvitations = async (req, res) => {
+  const {status} = req.query;
+  const pagination = parsePagination(req.query, {defaultMode: "page"});
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
+
+  const now = new Date();
+  const statusQueries = {
+    pending: {acceptedAt: null, revokedAt: null, expiresAt: {$gt: now}},
+    accepted: {acceptedAt: {$ne: null}},
+    revoked: {revokedAt: {$ne: null}},
+    expired: {acceptedAt: null, revokedAt: null, expiresAt: {$lte: now}},
+  };
+  const query = statusQueries[status] || {};
+
+  const {items: invitations, pageInfo} = await paginate(
+    Invitation,
+    query,
+    pagination,
+    {
+      build: (find) =>
+        find
+          .select("-tokenHash")
+          .populate("invitedBy", "username email")
+          .populate("acceptedBy", "username email"),
+    }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      invitations,
+      ...pageInfo,
+    },
+  });
+};
+
+export const revokeInvitation = async (req, res) => {
+  const {id} = req.params;
+
+  const invitation = await Invitation.findOneAndUpdate(
+    {_id: id, acceptedAt: null, revokedAt: null},
+    {revokedAt: new Date()},
+    {new: true}
+  ).select("-tokenHash");
+
+  if (!invitation) {
+    throw new NotFoundError("Invitation not found or already used");
+  }
+
+  res.json({
+    success: true,
+    message: "Invitation revoked successfully",
+    invitation,
+  });
+};
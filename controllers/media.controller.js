@@ -0,0 +1,19 @@
+import {saveUpload} from "../utils/media.js";
+
+export const uploadMedia = async (req, res) => {
+  const media = await saveUpload(req.file, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: "Image uploaded successfully",
+    media: {
+      id: media._id,
+      url: media.url,
+      thumbnailUrl: media.thumbnailUrl,
+      mimeType: media.mimeType,
+      size: media.size,
+      width: media.width,
+      height: media.height,
+    },
+  });
+};
@@ -0,0 +1,105 @@
+import bcrypt from "bcrypt";
+import bcryptjs from "bcryptjs";
+import User from "../models/user.models.js";
+import Admin from "../models/admin.models.js";
+import PasswordReset from "../models/passwordReset.models.js";
+import {revokeAllSessions} from "../utils/sessions.js";
+import {sendMail, appUrl} from "../utils/mail/index.js";
+import {randomToken, hashToken} from "../utils/tokens.js";
+import {BadRequestError} from "../utils/errors.js";
+
+const RESET_TOKEN_TTL_MS =
+  (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Users and admins hash passwords the same way their registration does
+const ACCOUNTS = {
+  User: {
+    Model: User,
+    hashPassword: (password) => bcryptjs.hash(password, 12),
+    resetPath: "/reset-password",
+  },
+  Admin: {
+    Model: Admin,
+    hashPassword: (password) => bcrypt.hash(password, 10),
+    resetPath: "/admin/reset-password",
+  },
+};
+
+export const forgotPassword = (subjectModel) => async (req, res) => {
+  const {email} = req.body ?? {};
+  const {Model, resetPath} = ACCOUNTS[subjectModel];
+
+  const account = await Model.findOne({email});
+
+  if (account) {
+    // Only the most recent link stays valid
+    await PasswordReset.deleteMany({
+      subject: account._id,
+      subjectModel,
+      usedAt: null,
+    });
+
+    const token = randomToken();
+    await PasswordReset.create({
+      subject: account._id,
+      subjectModel,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+    });
+
+    const link = appUrl(resetPath, {token});
+    const minutes = RESET_TOKEN_TTL_MS / 60000;
+    await sendMail({
+      to: account.email,
+      subject: "Reset your password",
+      text: [
+        `Hi ${account.username},`,
+        `Use the link below to choose a new password. It expires in ${minutes} minutes.`,
+        link,
+        "If you did not ask for this, you can ignore this email.",
+      ].join("\n\n"),
+    });
+  }
+
+  // Same answer whether or not the account exists
+  res.json({
+    success: true,
+    message: "If an account with that email exists, a reset link has been sent",
+  });
+};
+
+export const resetPassword = (subjectModel) => async (req, res) => {
+  const {token, password} = req.body ?? {};
+  const {Model, hashPassword} = ACCOUNTS[subjectModel];
+
+  // Claim the token atomically so it can only be used once
+  const reset = await PasswordReset.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      subjectModel,
+      usedAt: null,
+      expiresAt: {$gt: new Date()},
+    },
+    {usedAt: new Date()}
+  );
+
+  if (!reset) {
+    throw new BadRequestError("Reset link is invalid or has expired");
+  }
+
+  const account = await Model.findById(reset.subject);
+  if (!account) {
+    throw new BadRequestError("Reset link is invalid or has expired");
+  }
+
+  account.password = await hashPassword(password);
+  await account.save();
+
+  // Anyone holding the old password is signed out
+  await revokeAllSessions(account._id, {reason: "Password reset"});
+
+  res.json({
+    success: true,
+    message: "Password reset successfully, please log in again",
+  });
+};
@@ -0,0 +1,132 @@
+import User, {SOCIAL_LINKS} from "../models/user.models.js";
+import Article, {LISTED_ARTICLE_FIELDS} from "../models/article.models.js";
+import Like from "../models/like.models.js";
+import Follow from "../models/follow.models.js";
+import {parsePagination, paginate} from "../utils/pagination.js";
+import {isHiddenAuthor, publicArticleFilter} from "../utils/visibility.js";
+import {getFollowCounts} from "./follow.controller.js";
+import {BadRequestError, NotFoundError} from "../utils/errors.js";
+
+const PROFILE_FIELDS = ["displayName", "bio", "avatar"];
+
+// What anyone may see about an author
+export const publicProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.displayName || user.username,
+  bio: user.bio || null,
+  avatar: user.avatar || null,
+  socialLinks: Object.fromEntries(
+    SOCIAL_LINKS.filter((link) => user.socialLinks?.[link]).map((link) => [
+      link,
+      user.socialLinks[link],
+    ])
+  ),
+  // Accounts have no creation date, the id carries it
+  joinedAt: user._id.getTimestamp(),
+});
+
+export const getMyProfile = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      profile: {
+        ...publicProfile(req.user),
+        email: req.user.email,
+      },
+    },
+  });
+};
+
+// Fields set to null are cleared, fields left out are kept
+export const updateProfile = async (req, res) => {
+  const {socialLinks} = req.body;
+  const user = req.user;
+
+  for (const field of PROFILE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      user[field] = req.body[field] ?? undefined;
+    }
+  }
+
+  if (socialLinks) {
+    for (const link of SOCIAL_LINKS) {
+      if (socialLinks[link] !== undefined) {
+        user.socialLinks[link] = socialLinks[link] ?? undefined;
+      }
+    }
+  }
+
+  await user.save();
+
+  res.json({
+    success: true,
+    message: "Profile updated successfully",
+    data: {
+      profile: {
+        ...publicProfile(user),
+        email: user.email,
+      },
+    },
+  });
+};
+
+// Public author page: profile, totals and the author's published articles
+export const getAuthorProfile = async (req, res) => {
+  const {username} = req.params;
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
+
+  const author = await User.findOne({username});
+
+  // Authors whose articles are hidden by a restriction have no public page
+  if (!author || (await isHiddenAuthor(author._id))) {
+    throw new NotFoundError("Author not found");
+  }
+
+  const query = await publicArticleFilter({author: author._id});
+
+  const {items: articles, pageInfo} = await paginate(
+    Article,
+    query,
+    pagination,
+    {
+      sortField: "publishedDate",
+      build: (find) => find.select(LISTED_ARTICLE_FIELDS),
+    }
+  );
+
+  const published = await Article.find(query).select("_id viewCount");
+  const totalLikes = await Like.countDocuments({
+    article: {$in: published.map((article) => article._id)},
+  });
+  const followCounts = await getFollowCounts(author._id);
+
+  // Signed-in readers also see whether they follow the author
+  const following = req.user
+    ? {
+        isFollowing: Boolean(
+          await Follow.exists({follower: req.user._id, author: author._id})
+        ),
+      }
+    : {};
+
+  res.json({
+    success: true,
+    data: {
+      author: {...publicProfile(author), ...followCounts, ...following},
+      stats: {
+        publishedArticles: published.length,
+        totalViews: published.reduce(
+          (sum, article) => sum + article.viewCount,
+          0
+        ),
+        totalLikes,
+      },
+      articles,
+      ...pageInfo,
+    },
+  });
+};
@@ -0,0 +1,151 @@
+import Article, {LISTED_ARTICLE_FIELDS} from "../models/article.models.js";
+import {publicArticleFilter} from "../utils/visibility.js";
+import Like from "../models/like.models.js";
+import Bookmark from "../models/bookmark.models.js";
+import {PUBLIC_AUTHOR_FIELDS} from "../models/user.models.js";
+import {getCommentCounts} from "./comment.controller.js";
+import {parsePagination, paginate} from "../utils/pagination.js";
+import {BadRequestError, NotFoundError} from "../utils/errors.js";
+
+// Reactions are only allowed on articles the public can see
+const findPublishedArticle = async (id) =>
+  Article.exists(await publicArticleFilter({_id: id}));
+
+// Like counts for a set of articles plus what the caller has liked/bookmarked
+export const getReactionSummary = async (articleIds, userId) => {
+  const [likeCounts, liked, bookmarked] = await Promise.all([
+    Like.aggregate([
+      {$match: {article: {$in: articleIds}}},
+      {$group: {_id: "$article", count: {$sum: 1}}},
+    ]),
+    userId ? Like.find({user: userId, article: {$in: articleIds}}) : [],
+    userId ? Bookmark.find({user: userId, article: {$in: articleIds}}) : [],
+  ]);
+
+  const likedIds = new Set(liked.map(({article}) => article.toString()));
+  const bookmarkedIds = new Set(
+    bookmarked.map(({article}) => article.toString())
+  );
+  const counts = new Map(
+    likeCounts.map(({_id, count}) => [_id.toString(), count])
+  );
+
+  return (articleId) => {
+    const id = articleId.toString();
+    const summary = {likeCount: counts.get(id) || 0};
+    if (userId) {
+      summary.liked = likedIds.has(id);
+      summary.bookmarked = bookmarkedIds.has(id);
+    }
+    return summary;
+  };
+};
+
+// Fields loaded for article lists, the full body is left out
+export const selectListedArticle = (find) =>
+  find
+    .populate("author", PUBLIC_AUTHOR_FIELDS)
+    .populate("coverMedia", "key thumbnailKey")
+    .select(LISTED_ARTICLE_FIELDS);
+
+// Shape articles loaded with selectListedArticle for the public article list
+// and the personalized feed, with comment counts and reactions
+export const toArticleListItems = async (articles, userId) => {
+  const articleIds = articles.map((article) => article._id);
+  const commentCounts = await getCommentCounts(articleIds);
+  const reactionsFor = await getReactionSummary(articleIds, userId);
+
+  return articles.map((article) => ({
+    ...article.toObject(),
+    coverMedia: article.coverMedia?._id,
+    // Articles from before uploads only have their cover URL
+    coverThumbnail: article.coverMedia?.thumbnailUrl ?? article.coverImage,
+    commentCount: commentCounts.get(article._id.toString()) || 0,
+    ...reactionsFor(article._id),
+  }));
+};
+
+// Idempotent add/remove shared by likes and bookmarks
+const addReaction = (Model, action) => async (req, res) => {
+  const {id} = req.params;
+
+  if (!(await findPublishedArticle(id))) {
+    throw new NotFoundError("Article not found or not published");
+  }
+
+  try {
+    await Model.updateOne(
+      {user: req.user._id, article: id},
+      {$setOnInsert: {user: req.user._id, article: id}},
+      {upsert: true}
+    );
+  } catch (error) {
+    // A concurrent request already created it, which is fine
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  res.json({
+    success: true,
+    message: `Article ${action} successfully`,
+  });
+};
+
+const removeReaction = (Model, action) => async (req, res) => {
+  const {id} = req.params;
+
+  await Model.deleteOne({user: req.user._id, article: id});
+
+  res.json({
+    success: true,
+    message: `Article ${action} successfully`,
+  });
+};
+
+export const likeArticle = addReaction(Like, "liked");
+export const unlikeArticle = removeReaction(Like, "unliked");
+export const bookmarkArticle = addReaction(Bookmark, "bookmarked");
+export const unbookmarkArticle = removeReaction(
+  Bookmark,
+  "removed from bookmarks"
+);
+
+export const getBookmarks = async (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
+
+  const visibleArticles = await publicArticleFilter();
+  const {items: bookmarks, pageInfo} = await paginate(
+    Bookmark,
+    {user: req.user._id},
+    pagination,
+    {
+      build: (find) =>
+        find.populate({
+          path: "article",
+          match: visibleArticles,
+          select: LISTED_ARTICLE_FIELDS,
+          populate: {path: "author", select: PUBLIC_AUTHOR_FIELDS},
+        }),
+    }
+  );
+
+  // Bookmarked articles that were unpublished since are left out
+  const articles = bookmarks
+    .filter((bookmark) => bookmark.article)
+    .map((bookmark) => ({
+      ...bookmark.article.toObject(),
+      bookmarkedAt: bookmark.createdAt,
+    }));
+
+  res.json({
+    success: true,
+    data: {
+      articles,
+      ...pageInfo,
+    },
+  });
+};
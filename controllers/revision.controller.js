@@ -0,0 +1,174 @@
+import Article from "../models/article.models.js";
+import Revision from "../models/revision.models.js";
+import {
+  REVISION_FIELDS,
+  snapshotArticle,
+  diffRevisions,
+} from "../utils/revisions.js";
+import {existingCategoryTags} from "../utils/categories.js";
+import {ForbiddenError, NotFoundError} from "../utils/errors.js";
+
+// Admins can inspect any submitted article, users only their own
+const findAccessibleArticle = (req, id) => {
+  const query = {_id: id};
+  if (req.userType === "Admin") {
+    query.status = {$ne: "draft"};
+  } else {
+    query.author = req.user._id;
+  }
+  return Article.findOne(query);
+};
+
+const articleNotFound = () =>
+  new NotFoundError(
+    "Article not found or you don't have permission to view it"
+  );
+
+export const getRevisions = async (req, res) => {
+  const {id} = req.params;
+
+  const article = await findAccessibleArticle(req, id);
+  if (!article) {
+    throw articleNotFound();
+  }
+
+  const revisions = await Revision.find({article: id})
+    .populate("editedBy", "username")
+    .sort({revision: -1})
+    .select("revision title editedBy restoredFrom createdAt");
+
+  res.json({
+    success: true,
+    data: {revisions},
+  });
+};
+
+export const getRevision = async (req, res) => {
+  const {id, revision} = req.params;
+
+  const article = await findAccessibleArticle(req, id);
+  if (!article) {
+    throw articleNotFound();
+  }
+
+  const found = await Revision.findOne({
+    article: id,
+    revision: Number(revision),
+  }).populate("editedBy", "username");
+
+  if (!found) {
+    throw new NotFoundError("Revision not found");
+  }
+
+  res.json({
+    success: true,
+    data: {revision: found},
+  });
+};
+
+export const diffArticleRevisions = async (req, res) => {
+  const {id} = req.params;
+  let {from, to} = req.query;
+
+  const article = await findAccessibleArticle(req, id);
+  if (!article) {
+    throw articleNotFound();
+  }
+
+  const latest = await Revision.findOne({article: id}).sort({revision: -1});
+  if (!latest) {
+    throw new NotFoundError("This article has no revisions yet");
+  }
+
+  to = to ? Number(to) : latest.revision;
+
+  // Default to the revision that was current when the article was last rejected
+  if (!from) {
+    const lastRejection = [...article.moderationHistory]
+      .reverse()
+      .find((entry) => entry.toStatus === "rejected");
+
+    const base = lastRejection
+      ? await Revision.findOne({
+          article: id,
+          createdAt: {$lte: lastRejection.createdAt},
+        }).sort({revision: -1})
+      : null;
+
+    from = base ? base.revision : Math.max(to - 1, 1);
+  }
+  from = Number(from);
+
+  const [fromRevision, toRevision] = await Promise.all([
+    Revision.findOne({article: id, revision: from}),
+    Revision.findOne({article: id, revision: to}),
+  ]);
+
+  if (!fromRevision || !toRevision) {
+    throw new NotFoundError("Revision not found");
+  }
+
+  res.json({
+    success: true,
+    data: {
+      from,
+      to,
+      changes: diffRevisions(fromRevision, toRevision),
+    },
+  });
+};
+
+export const restoreRevision = async (req, res) => {
+  const {id, revision} = req.params;
+
+  const article = await Article.findOne({_id: id, author: req.user._id});
+  if (!article) {
+    throw new NotFoundError(
+      "Article not found or you don't have permission to edit it"
+    );
+  }
+
+  if (["published", "scheduled"].includes(article.status)) {
+    throw new ForbiddenError(
+      "Published or scheduled articles cannot be edited"
+    );
+  }
+
+  const found = await Revision.findOne({
+    article: id,
+    revision: Number(revision),
+  });
+
+  if (!found) {
+    throw new NotFoundError("Revision not found");
+  }
+
+  for (const field of REVISION_FIELDS) {
+    article[field] = found[field];
+  }
+  // Categories deleted since the revision was made can't be restored
+  article.categoryTags = await existingCategoryTags(found.categoryTags);
+
+  // Restored content needs to go through review again, drafts stay private
+  if (!["draft", "pending"].includes(article.status)) {
+    article.transitionTo("pending", {
+      actor: req.user._id,
+      actorModel: "User",
+      reason: `Restored revision ${found.revision}`,
+    });
+    article.submittedAt = new Date();
+  }
+
+  await article.save();
+  const restored = await snapshotArticle(article, {
+    editedBy: req.user._id,
+    restoredFrom: found.revision,
+  });
+
+  res.json({
+    success: true,
+    message: `Revision ${found.revision} restored successfully`,
+    article,
+    revision: restored.revision,
+  });
+};
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import Article, {PUBLIC_ARTICLE_FIELDS} from "../models/article.models.js";
+import User, {PUBLIC_AUTHOR_FIELDS} from "../models/user.models.js";
+import {getSearchTerms, highlight} from "../utils/search.js";
+import {parsePagination, pageModeInfo} from "../utils/pagination.js";
+import {publicArticleFilter} from "../utils/visibility.js";
+import {categoryFilterSlug} from "../utils/categories.js";
+import {BadRequestError} from "../utils/errors.js";
+
+export const searchArticles = async (req, res) => {
+  const {q, page, limit, category, author, from, to} = req.query;
+
+  // Results are ranked by relevance, so only page mode is supported
+  const pagination = parsePagination({page, limit}, {defaultMode: "page"});
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
+
+  const filters = {$text: {$search: q}};
+
+  if (category) {
+    filters.categoryTags = await categoryFilterSlug(category);
+  }
+
+  // Author can be given by id or username
+  if (author) {
+    const user = mongoose.isValidObjectId(author)
+      ? {_id: author}
+      : await User.findOne({username: author}).select("_id");
+
+    if (!user) {
+      return res.json({
+        success: true,
+        data: {articles: [], ...pageModeInfo(pagination, 0)},
+      });
+    }
+    filters.author = user._id;
+  }
+
+  // from and to are parsed into dates by the route validator
+  if (from || to) {
+    filters.publishedDate = {
+      ...(from && {$gte: from}),
+      ...(to && {$lte: to}),
+    };
+  }
+
+  // Only published articles are searchable
+  const query = await publicArticleFilter(filters);
+
+  const articles = await Article.find(query, {score: {$meta: "textScore"}})
+    .populate("author", PUBLIC_AUTHOR_FIELDS)
+    .sort({score: {$meta: "textScore"}, publishedDate: -1})
+    .limit(pagination.limit)
+    .skip((pagination.page - 1) * pagination.limit)
+    // The Markdown body is only loaded to highlight matches in it
+    .select(`${PUBLIC_ARTICLE_FIELDS} -fullDescriptionHtml`);
+
+  const total = await Article.countDocuments(query);
+
+  const terms = getSearchTerms(q);
+
+  res.json({
+    success: true,
+    data: {
+      articles: articles.map((article) => {
+        const {fullDescription, ...rest} = article.toObject();
+        return {
+          ...rest,
+          highlights: {
+            title: highlight(article.title, terms),
+            shortDescription: highlight(article.shortDescription, terms),
+            fullDescription: highlight(fullDescription, terms),
+          },
+        };
+      }),
+      ...pageModeInfo(pagination, total),
+    },
+  });
+};
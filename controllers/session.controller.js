@@ -0,0 +1,44 @@
+import {
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessions.js";
+import {UnauthorizedError} from "../utils/errors.js";
+
+// Handlers are shared by users and admins, scoped to one account type
+export const refreshSession = (subjectModel) => async (req, res) => {
+  const {refreshToken} = req.body ?? {};
+
+  const result = await rotateSession(refreshToken, subjectModel);
+  if (result.error) {
+    throw new UnauthorizedError(result.error);
+  }
+
+  res.json({
+    success: true,
+    message: "Token refreshed successfully",
+    ...result,
+  });
+};
+
+export const logout = (subjectModel) => async (req, res) => {
+  const {refreshToken} = req.body ?? {};
+
+  // Logging out an unknown or already revoked session is not an error
+  await revokeSession(refreshToken, subjectModel);
+
+  res.json({
+    success: true,
+    message: "Logged out successfully",
+  });
+};
+
+export const logoutEverywhere = async (req, res) => {
+  const revokedSessions = await revokeAllSessions(req.user._id);
+
+  res.json({
+    success: true,
+    message: "Logged out from all devices successfully",
+    revokedSessions,
+  });
+};
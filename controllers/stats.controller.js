@@ -0,0 +1,41 @@
+import Article from "../models/article.models.js";
+import {getPeriodRange} from "../utils/period.js";
+import {getViewSeries} from "../utils/views.js";
+import {NotFoundError} from "../utils/errors.js";
+
+export const getArticleStats = async (req, res) => {
+  const {id} = req.params;
+  const {period = "month"} = req.query;
+
+  // Admins can see stats for any article, users only for their own
+  const query = {_id: id};
+  if (req.userType !== "Admin") {
+    query.author = req.user._id;
+  }
+
+  const article = await Article.findOne(query).select(
+    "title status publishedDate viewCount"
+  );
+
+  if (!article) {
+    throw new NotFoundError(
+      "Article not found or you don't have permission to view it"
+    );
+  }
+
+  const {startDate, endDate} = getPeriodRange(period);
+  const series = await getViewSeries(article._id, {startDate, endDate});
+
+  res.json({
+    success: true,
+    data: {
+      article,
+      period,
+      startDate,
+      endDate,
+      totalViews: article.viewCount,
+      viewsInPeriod: series.reduce((sum, day) => sum + day.views, 0),
+      series,
+    },
+  });
+};
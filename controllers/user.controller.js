@@ -1,469 +1,616 @@
+import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
-import {generateToken} from "../middlewares/middleware.js";
-import User from "../models/user.models.js";
-import Article from "../models/article.models.js";
+import {createSession, revokeAllSessions} from "../utils/sessions.js";
+import User, {
+  PUBLIC_AUTHOR_FIELDS,
+  restrictionError,
+} from "../models/user.models.js";
+import Article, {
+  ARTICLE_STATUSES,
+  PUBLIC_ARTICLE_FIELDS,
+  SUBMISSION_FIELDS,
+} from "../models/article.models.js";
+import Revision from "../models/revision.models.js";
+import Comment from "../models/comment.models.js";
+import Like from "../models/like.models.js";
+import Bookmark from "../models/bookmark.models.js";
+import View from "../models/view.models.js";
+import {getPeriodRange} from "../utils/period.js";
+import {buildRegexSearch} from "../utils/search.js";
+import {parsePagination, paginate} from "../utils/pagination.js";
+import {publicArticleFilter} from "../utils/visibility.js";
+import {recordView, getViewSeries, getMostViewed} from "../utils/views.js";
+import {
+  getReactionSummary,
+  selectListedArticle,
+  toArticleListItems,
+} from "./reaction.controller.js";
+import {getFollowCounts} from "./follow.controller.js";
+import {snapshotArticle, ensureInitialRevision} from "../utils/revisions.js";
+import {cancelSchedule} from "../utils/scheduler.js";
+import {categoryFilterSlug, resolveCategoryTags} from "../utils/categories.js";
+import {formatArticleBody} from "../utils/markdown.js";
+import {
+  setCoverMedia,
+  claimCoverMedia,
+  deleteArticleMedia,
+} from "../utils/media.js";
+import {
+  getAccountLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/rateLimit/index.js";
+import {sendVerificationEmail} from "./verification.controller.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} from "../utils/errors.js";
 
 // User Authentication Controllers
 export const registerUser = async (req, res) => {
-  try {
-    const {username, email, password} = req.body;
-
-    // Validation
-    if (!username || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "All fields are required",
-      });
-    }
-
-    // Password strength validation
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: "Password must be at least 6 characters long",
-      });
-    }
+  const {username, email, password} = req.body;
 
-    // Check if user already exists
-    const existingUser = await User.findOne({
-      $or: [{email}, {username}],
-    });
-
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: "User with this email or username already exists",
-      });
-    }
+  // Check if user already exists
+  const existingUser = await User.findOne({
+    $or: [{email}, {username}],
+  });
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+  if (existingUser) {
+    throw new ConflictError("User with this email or username already exists");
+  }
 
-    // Create user with hashed password
-    const user = new User({
-      username,
-      email,
-      password: hashedPassword,
-    });
+  // Hash password
+  const saltRounds = 12;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    await user.save();
+  // Create user with hashed password
+  const user = new User({
+    username,
+    email,
+    password: hashedPassword,
+    emailVerified: false,
+  });
 
-    // Generate token
-    const token = generateToken(user._id);
+  await user.save();
 
-    res.status(201).json({
-      success: true,
-      message: "User registered successfully",
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-      },
-    });
+  // Registration still succeeds if the mail cannot be sent, the user can resend it
+  try {
+    await sendVerificationEmail(user);
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error during registration",
-      error: error.message,
-    });
+    console.error("Failed to send verification email:", error);
   }
+
+  // Start a session with an access and refresh token
+  const tokens = await createSession(user, "User", req);
+
+  res.status(201).json({
+    success: true,
+    message: "User registered successfully",
+    ...tokens,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.isEmailVerified,
+    },
+  });
 };
 
 export const loginUser = async (req, res) => {
-  try {
-    const {email, password} = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Email and password are required",
-      });
-    }
+  const {email, password} = req.body;
+
+  // Too many failed attempts lock the account for a while
+  const lockedUntil = await getAccountLock("User", email);
+  if (lockedUntil) {
+    res.set(
+      "Retry-After",
+      String(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000))
+    );
+    throw new TooManyRequestsError(
+      "Account temporarily locked after too many failed login attempts",
+      {code: "ACCOUNT_LOCKED"}
+    );
+  }
 
-    // Find user
-    const user = await User.findOne({email});
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      });
-    }
+  // Find user
+  const user = await User.findOne({email});
+  if (!user) {
+    await recordLoginFailure("User", email);
+    throw new UnauthorizedError("Invalid credentials", {
+      code: "INVALID_CREDENTIALS",
+    });
+  }
 
-    // Verify password using bcrypt
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      });
-    }
+  // Verify password using bcrypt
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    await recordLoginFailure("User", email);
+    throw new UnauthorizedError("Invalid credentials", {
+      code: "INVALID_CREDENTIALS",
+    });
+  }
 
-    // Generate token
-    const token = generateToken(user._id);
+  await clearLoginFailures("User", email);
 
-    res.json({
-      success: true,
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error during login",
-      error: error.message,
-    });
+  // Suspended or banned users cannot sign in
+  const restriction = user.activeRestriction;
+  if (restriction) {
+    throw restrictionError(restriction);
   }
+
+  // Start a session with an access and refresh token
+  const tokens = await createSession(user, "User", req);
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    ...tokens,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.isEmailVerified,
+    },
+  });
 };
 
-// Optional: Change password endpoint
+// Change password endpoint
 export const changePassword = async (req, res) => {
-  try {
-    const {currentPassword, newPassword} = req.body;
+  const {currentPassword, newPassword} = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: "Current password and new password are required",
-      });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: "New password must be at least 6 characters long",
-      });
-    }
+  // Find user
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
 
-    // Find user
-    const user = await User.findById(req.user._id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
+  // Verify current password
+  const isCurrentPasswordValid = await bcrypt.compare(
+    currentPassword,
+    user.password
+  );
+  if (!isCurrentPasswordValid) {
+    throw new UnauthorizedError("Current password is incorrect");
+  }
 
-    // Verify current password
-    const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
-    if (!isCurrentPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: "Current password is incorrect",
-      });
-    }
+  // Hash new password
+  const saltRounds = 12;
+  const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
 
-    // Hash new password
-    const saltRounds = 12;
-    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+  // Update password
+  user.password = hashedNewPassword;
+  await user.save();
 
-    // Update password
-    user.password = hashedNewPassword;
-    await user.save();
+  // Sign out every other device, the current session stays valid
+  await revokeAllSessions(user._id, {
+    reason: "Password changed",
+    except: req.sessionId,
+  });
 
-    res.json({
-      success: true,
-      message: "Password changed successfully",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error during password change",
-      error: error.message,
-    });
-  }
+  res.json({
+    success: true,
+    message: "Password changed successfully",
+  });
 };
 
 export const getUserDashboard = async (req, res) => {
-  try {
-    // Get user's article statistics
-    const totalArticles = await Article.countDocuments({author: req.user._id});
-    const publishedArticles = await Article.countDocuments({
-      author: req.user._id,
-      status: "published",
-    });
-    const pendingArticles = await Article.countDocuments({
-      author: req.user._id,
-      status: "pending",
-    });
-    const rejectedArticles = await Article.countDocuments({
-      author: req.user._id,
-      status: "rejected",
-    });
-
-    // Get recent articles
-    const recentArticles = await Article.find({author: req.user._id})
-      .sort({createdAt: -1})
-      .limit(5)
-      .select("title status createdAt");
-
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: req.user._id,
-          username: req.user.username,
-          email: req.user.email,
-        },
-        stats: {
-          totalArticles,
-          publishedArticles,
-          pendingArticles,
-          rejectedArticles,
-        },
-        recentArticles,
+  // Get user's article statistics
+  const totalArticles = await Article.countDocuments({author: req.user._id});
+  const publishedArticles = await Article.countDocuments({
+    author: req.user._id,
+    status: "published",
+  });
+  const draftArticles = await Article.countDocuments({
+    author: req.user._id,
+    status: "draft",
+  });
+  const pendingArticles = await Article.countDocuments({
+    author: req.user._id,
+    status: "pending",
+  });
+  const scheduledArticles = await Article.countDocuments({
+    author: req.user._id,
+    status: "scheduled",
+  });
+  const rejectedArticles = await Article.countDocuments({
+    author: req.user._id,
+    status: "rejected",
+  });
+  const {followerCount} = await getFollowCounts(req.user._id);
+
+  // Get recent articles
+  const recentArticles = await Article.find({author: req.user._id})
+    .sort({createdAt: -1})
+    .limit(5)
+    .select("title status createdAt viewCount");
+
+  // Get view statistics for the last month
+  const ownArticles = await Article.find({author: req.user._id}).select(
+    "_id viewCount"
+  );
+  const ownArticleIds = ownArticles.map((article) => article._id);
+  const viewPeriod = getPeriodRange("month");
+  const viewStats = {
+    totalViews: ownArticles.reduce(
+      (sum, article) => sum + article.viewCount,
+      0
+    ),
+    series: await getViewSeries(ownArticleIds, viewPeriod),
+    mostRead: await getMostViewed(viewPeriod, {
+      match: {article: {$in: ownArticleIds}},
+    }),
+  };
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: req.user._id,
+        username: req.user.username,
+        email: req.user.email,
       },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching dashboard data",
-      error: error.message,
-    });
-  }
+      stats: {
+        totalArticles,
+        publishedArticles,
+        draftArticles,
+        pendingArticles,
+        scheduledArticles,
+        rejectedArticles,
+        followerCount,
+      },
+      recentArticles,
+      viewStats,
+    },
+  });
 };
 
 // Article Controllers
 export const getAllArticles = async (req, res) => {
-  try {
-    const {page = 1, limit = 10, category, search} = req.query;
+  const {category, search} = req.query;
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
 
-    // Build query - only show published articles to public
-    let query = {status: "published"};
+  const filters = {};
 
-    if (category) {
-      query.categoryTags = {$in: [category.toLowerCase()]};
-    }
+  if (category) {
+    filters.categoryTags = {$in: [await categoryFilterSlug(category)]};
+  }
+
+  if (search) {
+    filters.$or = buildRegexSearch(
+      search,
+      ["title", "shortDescription"],
+      ["categoryTags"]
+    );
+  }
 
-    if (search) {
-      query.$or = [
-        {title: {$regex: search, $options: "i"}},
-        {shortDescription: {$regex: search, $options: "i"}},
-        {categoryTags: {$in: [new RegExp(search, "i")]}},
-      ];
+  // Only show published articles to public
+  const query = await publicArticleFilter(filters);
+
+  const {items: articles, pageInfo} = await paginate(
+    Article,
+    query,
+    pagination,
+    {
+      sortField: "publishedDate",
+      build: selectListedArticle, // Don't send full description in list
     }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      articles: await toArticleListItems(articles, req.user?._id),
+      ...pageInfo,
+    },
+  });
+};
 
-    const articles = await Article.find(query)
-      .populate("author", "username")
-      .sort({publishedDate: -1})
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select("-fullDescription"); // Don't send full description in list
-
-    const total = await Article.countDocuments(query);
-
-    res.json({
-      success: true,
-      data: {
-        articles,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        total,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching articles",
-      error: error.message,
-    });
+// Send a published article looked up by id or slug, replaced slugs redirect
+// to the current one on the same route
+const sendPublicArticle = async (req, res, idOrSlug) => {
+  const {format} = req.query;
+  const lookup = [{slug: idOrSlug}];
+  if (mongoose.isObjectIdOrHexString(idOrSlug)) {
+    lookup.push({_id: idOrSlug});
   }
-};
 
-export const getArticleById = async (req, res) => {
-  try {
-    const {id} = req.params;
-
-    const article = await Article.findOne({
-      _id: id,
-      status: "published", // Only show published articles to public
-    }).populate("author", "username email");
-
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found or not published",
-      });
+  // Only show published articles to public
+  const article = await Article.findOne(
+    await publicArticleFilter({$or: lookup})
+  )
+    .populate("author", PUBLIC_AUTHOR_FIELDS)
+    .select(PUBLIC_ARTICLE_FIELDS);
+
+  if (!article) {
+    const renamed = await Article.findOne(
+      await publicArticleFilter({previousSlugs: idOrSlug})
+    ).select("slug");
+
+    if (renamed) {
+      const [, search] = req.originalUrl.split("?");
+      const path = req.route.path.replace(
+        /:\w+$/,
+        encodeURIComponent(renamed.slug)
+      );
+      return res.redirect(
+        301,
+        `${req.baseUrl}${path}${search ? `?${search}` : ""}`
+      );
     }
 
-    res.json({
-      success: true,
-      data: {article},
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching article",
-      error: error.message,
-    });
+    throw new NotFoundError("Article not found or not published");
   }
+
+  // Counting the view should never fail the request
+  recordView(article._id, req).catch((error) => {
+    console.error("Failed to record article view:", error);
+  });
+
+  const reactionsFor = await getReactionSummary([article._id], req.user?._id);
+
+  // The body is sent in the requested format, Markdown source by default
+  const {fullDescriptionHtml, ...fields} = article.toObject();
+  fields.fullDescription = formatArticleBody(
+    fields.fullDescription,
+    fullDescriptionHtml,
+    format
+  );
+
+  res.json({
+    success: true,
+    data: {
+      article: {...fields, ...reactionsFor(article._id)},
+      format,
+    },
+  });
 };
 
+export const getArticleById = (req, res) =>
+  sendPublicArticle(req, res, req.params.id);
+
+export const getArticleBySlug = (req, res) =>
+  sendPublicArticle(req, res, req.params.slug);
+
 export const createArticle = async (req, res) => {
-  try {
-    const {coverImage, title, shortDescription, fullDescription, categoryTags} =
-      req.body;
-
-    // Validation
-    if (!coverImage || !title || !shortDescription || !fullDescription) {
-      return res.status(400).json({
-        success: false,
-        message: "All required fields must be provided",
-      });
-    }
+  const {
+    coverMedia,
+    title,
+    shortDescription,
+    fullDescription,
+    categoryTags,
+    draft,
+  } = req.body;
+
+  // Validation - drafts only need a title
+  if (
+    draft
+      ? !title
+      : !coverMedia || !title || !shortDescription || !fullDescription
+  ) {
+    throw new BadRequestError(
+      draft
+        ? "A title is required to save a draft"
+        : "All required fields must be provided"
+    );
+  }
 
-    // Create article with pending status (needs admin approval)
-    const article = new Article({
-      coverImage,
-      title,
-      shortDescription,
-      fullDescription,
-      categoryTags: categoryTags || [],
-      author: req.user._id,
-      status: "pending", // Articles start as pending
-    });
+  // Articles start as pending (needs admin approval) unless saved as a draft
+  const article = new Article({
+    title,
+    shortDescription,
+    fullDescription,
+    categoryTags: categoryTags ? await resolveCategoryTags(categoryTags) : [],
+    author: req.user._id,
+    status: draft ? "draft" : "pending",
+    submittedAt: draft ? undefined : new Date(),
+  });
+
+  if (coverMedia) {
+    await setCoverMedia(article, coverMedia);
+  }
+
+  await article.save();
+  await claimCoverMedia(article);
+  await snapshotArticle(article, {editedBy: req.user._id});
+
+  res.status(201).json({
+    success: true,
+    message: draft
+      ? "Draft saved successfully"
+      : "Article created successfully and sent for approval",
+    article: {
+      id: article._id,
+      title: article.title,
+      status: article.status,
+      createdAt: article.createdAt,
+    },
+  });
+};
 
-    await article.save();
+export const submitArticle = async (req, res) => {
+  const {id} = req.params;
 
-    res.status(201).json({
-      success: true,
-      message: "Article created successfully and sent for approval",
-      article: {
-        id: article._id,
-        title: article.title,
-        status: article.status,
-        createdAt: article.createdAt,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error creating article",
-      error: error.message,
-    });
+  const article = await Article.findOne({_id: id, author: req.user._id});
+
+  if (!article) {
+    throw new NotFoundError(
+      "Article not found or you don't have permission to edit it"
+    );
+  }
+
+  if (article.status !== "draft") {
+    throw new BadRequestError("Only drafts can be submitted for review");
   }
+
+  const missingFields = SUBMISSION_FIELDS.filter((field) => !article[field]);
+  if (missingFields.length > 0) {
+    throw new BadRequestError(
+      "All required fields must be provided before submitting",
+      {code: "MISSING_FIELDS", details: {missingFields}}
+    );
+  }
+
+  article.transitionTo("pending", {
+    actor: req.user._id,
+    actorModel: "User",
+    reason: "Submitted for review",
+  });
+  article.submittedAt = new Date();
+  await article.save();
+
+  res.json({
+    success: true,
+    message: "Article submitted for approval",
+    article,
+  });
 };
 
-export const getUserArticles = async (req, res) => {
-  try {
-    const {page = 1, limit = 10, status} = req.query;
+export const withdrawArticle = async (req, res) => {
+  const {id} = req.params;
 
-    let query = {author: req.user._id};
+  const article = await Article.findOne({_id: id, author: req.user._id});
 
-    if (status && ["pending", "published", "rejected"].includes(status)) {
-      query.status = status;
-    }
+  if (!article) {
+    throw new NotFoundError(
+      "Article not found or you don't have permission to edit it"
+    );
+  }
+
+  if (article.status !== "pending") {
+    throw new BadRequestError("Only pending articles can be withdrawn");
+  }
 
-    const articles = await Article.find(query)
-      .sort({createdAt: -1})
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+  article.transitionTo("draft", {
+    actor: req.user._id,
+    actorModel: "User",
+    reason: "Withdrawn from review",
+  });
+  article.submittedAt = undefined;
+  await article.save();
+
+  res.json({
+    success: true,
+    message: "Article withdrawn and moved back to drafts",
+    article,
+  });
+};
 
-    const total = await Article.countDocuments(query);
+export const getUserArticles = async (req, res) => {
+  const {status} = req.query;
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    throw new BadRequestError(pagination.error);
+  }
 
-    res.json({
-      success: true,
-      data: {
-        articles,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        total,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching your articles",
-      error: error.message,
-    });
+  let query = {author: req.user._id};
+
+  if (status && ARTICLE_STATUSES.includes(status)) {
+    query.status = status;
   }
+
+  const {items: articles, pageInfo} = await paginate(
+    Article,
+    query,
+    pagination,
+    {build: (find) => find.populate("moderationHistory.actor", "username")}
+  );
+
+  res.json({
+    success: true,
+    data: {
+      articles,
+      ...pageInfo,
+    },
+  });
 };
 
 export const updateArticle = async (req, res) => {
-  try {
-    const {id} = req.params;
-    const {coverImage, title, shortDescription, fullDescription, categoryTags} =
-      req.body;
-
-    // Find article and verify ownership
-    const article = await Article.findOne({_id: id, author: req.user._id});
-
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found or you don't have permission to edit it",
-      });
-    }
+  const {id} = req.params;
+  const {coverMedia, title, shortDescription, fullDescription, categoryTags} =
+    req.body;
 
-    // Don't allow editing published articles
-    if (article.status === "published") {
-      return res.status(403).json({
-        success: false,
-        message: "Published articles cannot be edited",
-      });
-    }
+  // Find article and verify ownership
+  const article = await Article.findOne({_id: id, author: req.user._id});
 
-    // Update fields
-    if (coverImage) article.coverImage = coverImage;
-    if (title) article.title = title;
-    if (shortDescription) article.shortDescription = shortDescription;
-    if (fullDescription) article.fullDescription = fullDescription;
-    if (categoryTags) article.categoryTags = categoryTags;
+  if (!article) {
+    throw new NotFoundError(
+      "Article not found or you don't have permission to edit it"
+    );
+  }
 
-    // Reset to pending if it was rejected and now being updated
-    if (article.status === "rejected") {
-      article.status = "pending";
-    }
+  // Don't allow editing published or scheduled articles
+  if (["published", "scheduled"].includes(article.status)) {
+    throw new ForbiddenError(
+      "Published or scheduled articles cannot be edited"
+    );
+  }
 
-    await article.save();
+  // Keep the pre-edit content around for articles without history
+  await ensureInitialRevision(article);
 
-    res.json({
-      success: true,
-      message: "Article updated successfully",
-      article,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error updating article",
-      error: error.message,
-    });
+  // Update fields
+  if (coverMedia) await setCoverMedia(article, coverMedia);
+  if (title) article.title = title;
+  if (shortDescription) article.shortDescription = shortDescription;
+  if (fullDescription) article.fullDescription = fullDescription;
+  if (categoryTags) {
+    article.categoryTags = await resolveCategoryTags(categoryTags);
   }
-};
 
-export const deleteArticle = async (req, res) => {
-  try {
-    const {id} = req.params;
-
-    // Find and delete article (only if user owns it)
-    const article = await Article.findOneAndDelete({
-      _id: id,
-      author: req.user._id,
+  // Reset to pending if it was rejected and now being updated
+  if (article.status === "rejected") {
+    article.transitionTo("pending", {
+      actor: req.user._id,
+      actorModel: "User",
+      reason: "Resubmitted after edits",
     });
+    article.submittedAt = new Date();
+  }
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found or you don't have permission to delete it",
-      });
-    }
+  await article.save();
+  await claimCoverMedia(article);
+  await snapshotArticle(article, {editedBy: req.user._id});
 
-    res.json({
-      success: true,
-      message: "Article deleted successfully",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error deleting article",
-      error: error.message,
-    });
+  res.json({
+    success: true,
+    message: "Article updated successfully",
+    article,
+  });
+};
+
+export const deleteArticle = async (req, res) => {
+  const {id} = req.params;
+
+  // Find and delete article (only if user owns it)
+  const article = await Article.findOneAndDelete({
+    _id: id,
+    author: req.user._id,
+  });
+
+  if (!article) {
+    throw new NotFoundError(
+      "Article not found or you don't have permission to delete it"
+    );
   }
+
+  await Revision.deleteMany({article: article._id});
+  await Comment.deleteMany({article: article._id});
+  await Like.deleteMany({article: article._id});
+  await Bookmark.deleteMany({article: article._id});
+  await View.deleteMany({article: article._id});
+  await deleteArticleMedia(article._id);
+  cancelSchedule(article._id);
+
+  res.json({
+    success: true,
+    message: "Article deleted successfully",
+  });
 };
\ No newline at end of file
@@ -0,0 +1,90 @@
+import User from "../models/user.models.js";
+import EmailVerification from "../models/emailVerification.models.js";
+import {sendMail, appUrl} from "../utils/mail/index.js";
+import {randomToken, hashToken} from "../utils/tokens.js";
+import {BadRequestError, TooManyRequestsError} from "../utils/errors.js";
+
+const VERIFICATION_TTL_MS =
+  (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) *
+  60 *
+  60 *
+  1000;
+// Minimum time between two verification emails for the same user
+const RESEND_COOLDOWN_MS =
+  (parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS, 10) || 60) * 1000;
+
+// Issue a fresh verification link, older links stop working
+export const sendVerificationEmail = async (user) => {
+  await EmailVerification.deleteMany({user: user._id});
+
+  const token = randomToken();
+  await EmailVerification.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + VERIFICATION_TTL_MS),
+  });
+
+  user.verificationSentAt = new Date();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      `Hi ${user.username},`,
+      "Please confirm your email address to start publishing articles:",
+      appUrl("/verify-email", {token}),
+    ].join("\n\n"),
+  });
+};
+
+export const verifyEmail = async (req, res) => {
+  const {token} = req.body ?? {};
+
+  const verification = await EmailVerification.findOneAndDelete({
+    tokenHash: hashToken(token),
+    expiresAt: {$gt: new Date()},
+  });
+
+  const user = verification && (await User.findById(verification.user));
+
+  if (!user) {
+    throw new BadRequestError("Verification link is invalid or has expired");
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  res.json({
+    success: true,
+    message: "Email verified successfully",
+  });
+};
+
+export const resendVerification = async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.isEmailVerified) {
+    throw new BadRequestError("Email is already verified");
+  }
+
+  const waitMs =
+    user.verificationSentAt &&
+    user.verificationSentAt.getTime() + RESEND_COOLDOWN_MS - Date.now();
+
+  if (waitMs > 0) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    res.set("Retry-After", String(retryAfter));
+    throw new TooManyRequestsError(
+      `Please wait ${retryAfter} seconds before requesting another email`
+    );
+  }
+
+  await sendVerificationEmail(user);
+
+  res.json({
+    success: true,
+    message: "Verification email sent",
+  });
+};
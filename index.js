@@ -1,24 +1,61 @@
+// Load .env before any module reads its configuration
+import "dotenv/config";
 import connectDB from "./db/dbConnection.js";
 import express from "express";
 import cors from "cors";
 import adminRouter from "./routes/admin.route.js";
 import userRouter from "./routes/user.route.js";
-import dotenv from "dotenv";
-dotenv.config();
+import feedRouter from "./routes/feed.route.js";
+import {startScheduler} from "./utils/scheduler.js";
+import {seedAdminFromEnv} from "./utils/adminBootstrap.js";
+import {startMediaCleanup} from "./utils/media.js";
+import {seedCategoriesFromArticles} from "./utils/categories.js";
+import Article from "./models/article.models.js";
+import {getStorage} from "./utils/storage/index.js";
+import {notFound, errorHandler} from "./middlewares/error.middleware.js";
 
-connectDB();
+connectDB()
+  .then(seedAdminFromEnv)
+  .then(startScheduler)
+  .then(startMediaCleanup)
+  .then(() => Article.backfillSlugs())
+  .then(seedCategoriesFromArticles)
+  .catch((error) => console.error("Startup task failed:", error));
 
 const app = express();
+// Needed behind a reverse proxy so req.ip (used for rate limits) is the client.
+// TRUST_PROXY is a hop count, "true", or a list of proxy addresses.
+// "false" and "0" leave it disabled
+const trustProxy = process.env.TRUST_PROXY?.trim();
+if (trustProxy && !["false", "0"].includes(trustProxy)) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy === "true" || trustProxy
+  );
+}
 app.use(cors());
 app.use(express.json());
 
+// Uploaded media, only for storage drivers that keep files on this server
+const {serve: serveUploads} = getStorage();
+if (serveUploads) {
+  app.use("/uploads", serveUploads());
+}
+
 app.use("/api/admin", adminRouter);
 app.use("/api/users", userRouter);
+// RSS/Atom feeds and the sitemap live outside the API for crawlers and readers
+app.use(feedRouter);
 
 app.get("/", (req, res) => {
   res.send("Api is healthy and working!");
 });
 
+app.use(notFound);
+app.use(errorHandler);
+
 app.listen(process.env.PORT, () => {
   console.log(`Server is running on port ${process.env.PORT}`);
 });
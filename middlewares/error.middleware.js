@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+
+const isDevelopment = () => process.env.NODE_ENV === "development";
+
+// Translate database and body parser errors into application errors
+const normalizeError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new BadRequestError(`Invalid ${error.path}`, {
+      code: error.kind === "ObjectId" ? "INVALID_ID" : "INVALID_VALUE",
+    });
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      Object.values(error.errors).map(({path, message}) => ({
+        field: path,
+        message,
+      }))
+    );
+  }
+
+  // Unique index violations, e.g. two registrations racing for one username
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new ConflictError(
+      fields.length > 0
+        ? `${fields.join(", ")} already exists`
+        : "Resource already exists",
+      {code: "DUPLICATE_KEY", details: {fields}}
+    );
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return new BadRequestError("Request body is not valid JSON", {
+      code: "INVALID_JSON",
+    });
+  }
+
+  // Other client errors raised by body parsers and friends
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, {
+      status: error.status,
+      code: String(error.type || "BAD_REQUEST")
+        .toUpperCase()
+        .replace(/\W/g, "_"),
+    });
+  }
+
+  return null;
+};
+
+// Requests that did not match any route
+export const notFound = (req, res, next) => {
+  next(new NotFoundError("Route not found", {code: "ROUTE_NOT_FOUND"}));
+};
+
+// Must be registered after all routes, Express spots error handlers by their
+// four arguments so `next` has to stay even though it is rarely used
+export const errorHandler = (error, req, res, next) => {
+  // Let Express close the connection when a response was already started
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const appError = normalizeError(error);
+
+  if (!appError || appError.status >= 500) {
+    console.error(error);
+  }
+
+  const {status, code, message, details} = appError || new AppError();
+
+  const body = {success: false, code, message, ...details};
+
+  // Internal details only leave the server in development
+  if (isDevelopment() && !appError) {
+    body.error = error.message;
+    body.stack = error.stack;
+  }
+
+  res.status(status).json(body);
+};
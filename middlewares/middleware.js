@@ -1,11 +1,28 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../models/admin.models.js'; 
-import User from '../models/user.models.js'; 
+import User, { restrictionError } from '../models/user.models.js'; 
+import { hasPermission } from '../utils/permissions.js';
+import { isSessionActive } from '../utils/sessions.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
 import dotenv from "dotenv";
 dotenv.config();
 // JWT secret key - should be in environment variables
 const JWT_SECRET = process.env.JWT_SECRET;
 
+const sessionRevoked = () =>
+  new UnauthorizedError('Session expired or revoked', { code: 'SESSION_REVOKED' });
+
+// Token errors keep their stable codes, anything else is a server error
+const authenticationError = (error) => {
+  if (error.name === 'JsonWebTokenError') {
+    return new ForbiddenError('Invalid token', { code: 'INVALID_TOKEN' });
+  }
+  if (error.name === 'TokenExpiredError') {
+    return new ForbiddenError('Token expired', { code: 'TOKEN_EXPIRED' });
+  }
+  return error;
+};
+
 // Base authentication function
 const authenticateToken = async (req, res, next, Model, userType) => {
   try {
@@ -14,47 +31,36 @@ const authenticateToken = async (req, res, next, Model, userType) => {
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token required'
-      });
+      return next(new UnauthorizedError('Access token required', { code: 'TOKEN_REQUIRED' }));
     }
 
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (!(await isSessionActive(decoded))) {
+      return next(sessionRevoked());
+    }
     
     // Check if user exists in database
     const user = await Model.findById(decoded.id).select('-password');
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: `${userType} not found`
-      });
+      return next(new UnauthorizedError(`${userType} not found`));
+    }
+
+    // Suspended and banned users are locked out of every authenticated route
+    if (userType === 'User' && user.activeRestriction) {
+      return next(restrictionError(user.activeRestriction));
     }
 
     // Attach user to request object
     req.user = user;
     req.userType = userType;
+    req.sessionId = decoded.sid;
     
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(403).json({
-        success: false,
-        message: 'Invalid token'
-      });
-    } else if (error.name === 'TokenExpiredError') {
-      return res.status(403).json({
-        success: false,
-        message: 'Token expired'
-      });
-    } else {
-      return res.status(500).json({
-        success: false,
-        message: 'Server error during authentication'
-      });
-    }
+    next(authenticationError(error));
   }
 };
 
@@ -63,11 +69,43 @@ export const authenticateAdmin = async (req, res, next) => {
   await authenticateToken(req, res, next, Admin, 'Admin');
 };
 
+// Permission middleware - use after authenticateAdmin, requires every listed permission
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    return next(new ForbiddenError('You do not have permission to perform this action', {
+      code: 'PERMISSION_DENIED',
+      details: { missingPermissions: missing }
+    }));
+  }
+
+  next();
+};
+
 // User middleware
 export const authenticateUser = async (req, res, next) => {
   await authenticateToken(req, res, next, User, 'User');
 };
 
+// Requires authenticateUser first - blocks users who have not confirmed their email
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return next(new ForbiddenError('Please verify your email address first', {
+      code: 'EMAIL_NOT_VERIFIED'
+    }));
+  }
+  next();
+};
+
+// Optional user middleware - anonymous requests pass through, sent tokens must be valid
+export const optionalAuthenticateUser = async (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  await authenticateUser(req, res, next);
+};
+
 // Combined middleware - accepts both admin and user
 export const authenticateAdminOrUser = async (req, res, next) => {
   try {
@@ -75,13 +113,14 @@ export const authenticateAdminOrUser = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token required'
-      });
+      return next(new UnauthorizedError('Access token required', { code: 'TOKEN_REQUIRED' }));
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (!(await isSessionActive(decoded))) {
+      return next(sessionRevoked());
+    }
     
     // Try to find user in Admin collection first
     let user = await Admin.findById(decoded.id).select('-password');
@@ -94,41 +133,29 @@ export const authenticateAdminOrUser = async (req, res, next) => {
     }
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
+      return next(new UnauthorizedError('User not found'));
+    }
+
+    // Suspended and banned users are locked out of every authenticated route
+    if (userType === 'User' && user.activeRestriction) {
+      return next(restrictionError(user.activeRestriction));
     }
 
     req.user = user;
     req.userType = userType;
+    req.sessionId = decoded.sid;
     
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(403).json({
-        success: false,
-        message: 'Invalid token'
-      });
-    } else if (error.name === 'TokenExpiredError') {
-      return res.status(403).json({
-        success: false,
-        message: 'Token expired'
-      });
-    } else {
-      return res.status(500).json({
-        success: false,
-        message: 'Server error during authentication'
-      });
-    }
+    next(authenticationError(error));
   }
 };
 
 
-// Utility function to generate JWT tokens
-export const generateToken = (userId, expiresIn = '24h') => {
+// Utility function to generate short-lived JWT access tokens for a session
+export const generateToken = (userId, { sessionId, expiresIn = '15m' } = {}) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     JWT_SECRET,
     { expiresIn }
   );
@@ -0,0 +1,53 @@
+import {POLICIES, getRateLimitStore} from "../utils/rateLimit/index.js";
+import {TooManyRequestsError} from "../utils/errors.js";
+
+const keyGenerators = {
+  ip: (req) => req.ip,
+  // Login identifier from the body, falls back to the IP when missing
+  account: (req) =>
+    String(req.body?.email || req.ip)
+      .toLowerCase()
+      .trim(),
+};
+
+// Limit requests for a route group, e.g. rateLimit("auth") or rateLimit("login", "account")
+export const rateLimit = (policyName, keyBy = "ip") => {
+  const policy = POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+  const getKey = typeof keyBy === "function" ? keyBy : keyGenerators[keyBy];
+
+  return async (req, res, next) => {
+    try {
+      const key = `rate:${policyName}:${getKey(req)}`;
+      const {count, resetAt} = await getRateLimitStore().increment(
+        key,
+        policy.windowMs
+      );
+      const resetSeconds = Math.max(
+        Math.ceil((resetAt - Date.now()) / 1000),
+        0
+      );
+
+      res.set({
+        "RateLimit-Limit": String(policy.max),
+        "RateLimit-Remaining": String(Math.max(policy.max - count, 0)),
+        "RateLimit-Reset": String(resetSeconds),
+      });
+
+      if (count > policy.max) {
+        res.set("Retry-After", String(resetSeconds));
+        return next(
+          new TooManyRequestsError(undefined, {code: "RATE_LIMITED"})
+        );
+      }
+
+      next();
+    } catch (error) {
+      // A broken store should not take the API down with it
+      console.error("Rate limiter failed:", error);
+      next();
+    }
+  };
+};
@@ -0,0 +1,40 @@
+import multer from "multer";
+import {MAX_UPLOAD_BYTES} from "../utils/media.js";
+import {AppError, BadRequestError} from "../utils/errors.js";
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {fileSize: MAX_UPLOAD_BYTES, files: 1},
+});
+
+// Parse a single multipart image field into req.file, e.g. uploadImage("image").
+// The file type is checked against its content in utils/media.js
+export const uploadImage = (field) => {
+  const parse = upload.single(field);
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(
+          error.code === "LIMIT_FILE_SIZE"
+            ? new AppError(
+                `Image must be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`,
+                {status: 413, code: "FILE_TOO_LARGE"}
+              )
+            : new BadRequestError(error.message, {code: "INVALID_UPLOAD"})
+        );
+      }
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return next(
+          new BadRequestError(`An image is required in the "${field}" field`, {
+            code: "FILE_REQUIRED",
+          })
+        );
+      }
+      next();
+    });
+  };
+};
@@ -0,0 +1,39 @@
+import {validateObject} from "../utils/validation.js";
+import {ValidationError} from "../utils/errors.js";
+
+const LOCATIONS = ["params", "query", "body"];
+
+// Validate and coerce request input, e.g. validate({params: idParam, body: {...}})
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) {
+      continue;
+    }
+
+    const input = req[location] ?? {};
+    if (typeof input !== "object" || Array.isArray(input)) {
+      errors.push({location, field: location, message: "must be an object"});
+      continue;
+    }
+
+    const result = validateObject(schemas[location], input);
+    errors.push(...result.errors.map((error) => ({location, ...error})));
+
+    // req.query is a getter in Express 5, so the coerced values are set as
+    // an own property instead of assigned
+    Object.defineProperty(req, location, {
+      value: result.value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
+  if (errors.length > 0) {
+    return next(new ValidationError(errors));
+  }
+
+  next();
+};
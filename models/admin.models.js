@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import {ADMIN_ROLES} from "../utils/permissions.js";
 
 const AdminSchema = new mongoose.Schema({
   username: {
@@ -15,6 +16,21 @@ const AdminSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Unset on admins created before roles existed, they have no permissions
+  // until one is assigned (see utils/permissions.js)
+  role: {
+    type: String,
+    enum: ADMIN_ROLES,
+  },
+  // Unset for the bootstrap admin
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  invitation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invitation",
+  },
 });
 
 const Admin = mongoose.model("Admin", AdminSchema);
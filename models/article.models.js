@@ -1,29 +1,119 @@
 import mongoose from "mongoose";
+import {renderMarkdown} from "../utils/markdown.js";
+import {SLUG_PATTERN, slugify, uniqueSlug} from "../utils/slug.js";
+
+export const ARTICLE_STATUSES = [
+  "draft",
+  "pending",
+  "scheduled",
+  "published",
+  "rejected",
+];
+
+// Content fields that may be left empty while an article is a draft
+export const SUBMISSION_FIELDS = [
+  "coverImage",
+  "title",
+  "shortDescription",
+  "fullDescription",
+];
+
+// Moderation and scheduling details left out of every public article response
+export const PUBLIC_ARTICLE_FIELDS = [
+  "-moderationHistory",
+  "-rejectionReason",
+  "-submittedAt",
+  "-publishAt",
+  "-expireAt",
+  "-scheduledBy",
+  "-previousSlugs",
+].join(" ");
+
+// Article lists also leave out the body
+export const LISTED_ARTICLE_FIELDS = `${PUBLIC_ARTICLE_FIELDS} -fullDescription -fullDescriptionHtml`;
+
+// Drafts are private work in progress, only submitted articles need every field
+function requiredUnlessDraft() {
+  return this.status !== "draft";
+}
+
+// One entry per status transition, so authors can see why an article moved
+const moderationEntrySchema = new mongoose.Schema(
+  {
+    fromStatus: {
+      type: String,
+      required: true,
+    },
+    toStatus: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "moderationHistory.actorModel",
+      required: true,
+    },
+    actorModel: {
+      type: String,
+      enum: ["Admin", "User"],
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: false}
+);
 
 const articleSchema = new mongoose.Schema(
   {
+    // URL of the cover, set from coverMedia (older articles have free-text URLs)
     coverImage: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
+    coverMedia: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+    },
     title: {
       type: String,
       required: true,
       trim: true,
       maxlength: 200,
     },
+    // Public permalink, generated from the title
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Slugs an admin replaced, they keep redirecting to the article
+    previousSlugs: {
+      type: [String],
+      index: true,
+    },
     shortDescription: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
       maxlength: 500,
     },
+    // Markdown source, fullDescriptionHtml is rendered from it on save
     fullDescription: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
+    fullDescriptionHtml: {
+      type: String,
+    },
     categoryTags: [
       {
         type: String,
@@ -33,25 +123,129 @@ const articleSchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ["pending", "published", "rejected"],
+      enum: ARTICLE_STATUSES,
       default: "pending",
-      
     },
+    // When the article entered the review queue
+    submittedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    moderationHistory: [moderationEntrySchema],
     publishedDate: {
       type: Date,
       default: Date.now,
     },
+    // Scheduled publishing: the scheduler publishes at publishAt and unpublishes at expireAt
+    publishAt: {
+      type: Date,
+    },
+    expireAt: {
+      type: Date,
+    },
+    scheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Unique views, de-duplicated per visitor (see utils/views.js)
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Change status and append the transition to the moderation history
+articleSchema.methods.transitionTo = function (
+  toStatus,
+  {actor, actorModel = "Admin", reason} = {}
+) {
+  this.moderationHistory.push({
+    fromStatus: this.status,
+    toStatus,
+    reason,
+    actor,
+    actorModel,
+  });
+  this.status = toStatus;
+  this.rejectionReason = toStatus === "rejected" ? reason : undefined;
+  return this;
+};
+
+// Titles without Latin letters or digits, or that would read as an id, still
+// get a (numbered) permalink
+const titleSlug = (title) => {
+  const slug = slugify(title);
+  return SLUG_PATTERN.test(slug) ? slug : "article";
+};
+
+const wasPublished = (article) =>
+  article.status === "published" ||
+  article.moderationHistory.some(({toStatus}) => toStatus === "published");
+
+// Slugs follow the title until the article is first published, then stay put
+articleSchema.pre("save", async function () {
+  if (this.slug && (!this.isModified("title") || wasPublished(this))) {
+    return;
+  }
+  this.slug = await uniqueSlug(
+    this.constructor,
+    titleSlug(this.title),
+    this._id
+  );
+});
+
+// Give articles created before slugs existed their permalink
+articleSchema.statics.backfillSlugs = async function () {
+  const articles = await this.find({slug: null}).select("title");
+  for (const article of articles) {
+    const slug = await uniqueSlug(this, titleSlug(article.title), article._id);
+    await this.updateOne({_id: article._id}, {slug});
+  }
+  if (articles.length > 0) {
+    console.log(`Generated slugs for ${articles.length} article(s)`);
+  }
+};
+
+// Keep the sanitized HTML in step with the Markdown source
+articleSchema.pre("save", function () {
+  if (this.isModified("fullDescription") || this.fullDescriptionHtml == null) {
+    this.fullDescriptionHtml = renderMarkdown(this.fullDescription);
+  }
+});
+
+// Full-text search, matches in the title rank highest
+articleSchema.index(
+  {
+    title: "text",
+    categoryTags: "text",
+    shortDescription: "text",
+    fullDescription: "text",
+  },
+  {
+    name: "ArticleTextIndex",
+    weights: {
+      title: 10,
+      categoryTags: 5,
+      shortDescription: 3,
+      fullDescription: 1,
+    },
+  }
+);
+articleSchema.index({status: 1, publishAt: 1});
+articleSchema.index({status: 1, expireAt: 1});
+
 const Article = mongoose.model("Article", articleSchema);
 
 export default Article;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const BookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+// A user can bookmark an article only once
+BookmarkSchema.index({user: 1, article: 1}, {unique: true});
+BookmarkSchema.index({article: 1});
+
+const Bookmark = mongoose.model("Bookmark", BookmarkSchema);
+
+export default Bookmark;
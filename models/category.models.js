@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Managed taxonomy for articles, articles reference categories by slug in categoryTags
+const CategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 50,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Categories form a tree, top-level categories have no parent
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Category = mongoose.model("Category", CategorySchema);
+
+export default Category;
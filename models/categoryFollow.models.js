@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A reader following a category, kept by id so renames don't affect it
+const CategoryFollowSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+// A user can follow a category only once
+CategoryFollowSchema.index({user: 1, category: 1}, {unique: true});
+CategoryFollowSchema.index({category: 1});
+
+const CategoryFollow = mongoose.model("CategoryFollow", CategoryFollowSchema);
+
+export default CategoryFollow;
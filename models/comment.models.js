@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const CommentSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Direct parent for replies, and the top-level comment of the thread
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    root: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    status: {
+      type: String,
+      enum: ["visible", "hidden", "deleted"],
+      default: "visible",
+    },
+    editedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CommentSchema.index({article: 1, root: 1, createdAt: 1});
+CommentSchema.index({createdAt: -1});
+
+const Comment = mongoose.model("Comment", CommentSchema);
+
+export default Comment;
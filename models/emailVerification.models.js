@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Email verification link token, only its hash is stored
+const EmailVerificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+// Expired tokens are removed by MongoDB
+EmailVerificationSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const EmailVerification = mongoose.model(
+  "EmailVerification",
+  EmailVerificationSchema
+);
+
+export default EmailVerification;
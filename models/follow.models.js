@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A reader following an author
+const FollowSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+// A user can follow an author only once
+FollowSchema.index({follower: 1, author: 1}, {unique: true});
+FollowSchema.index({author: 1, createdAt: -1});
+
+const Follow = mongoose.model("Follow", FollowSchema);
+
+export default Follow;
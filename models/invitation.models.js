@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import {ADMIN_ROLES} from "../utils/permissions.js";
+
+// One-time invitation to register as an admin with a given role
+const InvitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: ADMIN_ROLES,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+InvitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+InvitationSchema.set("toJSON", {virtuals: true});
+
+const Invitation = mongoose.model("Invitation", InvitationSchema);
+
+export default Invitation;
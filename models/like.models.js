@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const LikeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+// A user can like an article only once
+LikeSchema.index({user: 1, article: 1}, {unique: true});
+LikeSchema.index({article: 1});
+
+const Like = mongoose.model("Like", LikeSchema);
+
+export default Like;
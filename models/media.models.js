@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import {getStorage} from "../utils/storage/index.js";
+
+// An uploaded image and its thumbnail, stored through utils/storage
+const MediaSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Set once an article uses the upload, unattached uploads are cleaned up
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      default: null,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+    originalName: {
+      type: String,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+    toJSON: {virtuals: true},
+    toObject: {virtuals: true},
+  }
+);
+
+MediaSchema.index({article: 1, createdAt: 1});
+
+MediaSchema.virtual("url").get(function () {
+  return getStorage().url(this.key);
+});
+
+MediaSchema.virtual("thumbnailUrl").get(function () {
+  return getStorage().url(this.thumbnailKey);
+});
+
+const Media = mongoose.model("Media", MediaSchema);
+
+export default Media;
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Single-use password reset token, only its hash is stored
+const PasswordResetSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "subjectModel",
+      required: true,
+    },
+    subjectModel: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+// Expired tokens are removed by MongoDB
+PasswordResetSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const PasswordReset = mongoose.model("PasswordReset", PasswordResetSchema);
+
+export default PasswordReset;
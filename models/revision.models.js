@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const RevisionSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    coverImage: {
+      type: String,
+    },
+    coverMedia: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+    },
+    title: {
+      type: String,
+    },
+    shortDescription: {
+      type: String,
+    },
+    fullDescription: {
+      type: String,
+    },
+    categoryTags: [
+      {
+        type: String,
+      },
+    ],
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    restoredFrom: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+RevisionSchema.index({article: 1, revision: -1}, {unique: true});
+
+const Revision = mongoose.model("Revision", RevisionSchema);
+
+export default Revision;
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// A login session, its refresh token rotates on every use
+const SessionSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "subjectModel",
+      required: true,
+    },
+    subjectModel: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of refresh tokens already rotated out, used for reuse detection
+    usedTokenHashes: [
+      {
+        type: String,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionSchema.index({subject: 1, revokedAt: 1});
+// Expired sessions are removed by MongoDB
+SessionSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const Session = mongoose.model("Session", SessionSchema);
+
+export default Session;
@@ -1,4 +1,44 @@
 import mongoose from "mongoose";
+import {ForbiddenError} from "../utils/errors.js";
+
+// A suspension or ban placed on a user by an admin
+const restrictionSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["suspend", "ban", "lift"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Only set for suspensions
+    until: {
+      type: Date,
+    },
+    hideArticles: {
+      type: Boolean,
+      default: false,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: false}
+);
+
+// Links shown on an author's public profile
+export const SOCIAL_LINKS = ["website", "twitter", "github", "linkedin"];
+
+// Profile fields that may be shown next to an author's articles, never the email
+export const PUBLIC_AUTHOR_FIELDS = "username displayName avatar";
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -15,8 +55,107 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Public profile, falls back to the username when no display name is set
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 60,
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // Avatar image URL
+  avatar: {
+    type: String,
+    trim: true,
+  },
+  // Full URLs, one per SOCIAL_LINKS entry
+  socialLinks: {
+    website: {type: String, trim: true},
+    twitter: {type: String, trim: true},
+    github: {type: String, trim: true},
+    linkedin: {type: String, trim: true},
+  },
+  // Left unset for accounts created before verification existed, they count as verified
+  emailVerified: {
+    type: Boolean,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  verificationSentAt: {
+    type: Date,
+  },
+  // Current suspension or ban, cleared when lifted
+  restriction: {
+    type: restrictionSchema,
+    default: null,
+  },
+  restrictionHistory: [restrictionSchema],
 });
 
+UserSchema.virtual("isEmailVerified").get(function () {
+  return this.emailVerified !== false;
+});
+
+// The restriction in force right now, expired suspensions no longer count
+UserSchema.virtual("activeRestriction").get(function () {
+  const restriction = this.restriction;
+  if (!restriction) {
+    return null;
+  }
+  if (restriction.action === "suspend" && restriction.until <= new Date()) {
+    return null;
+  }
+  return restriction;
+});
+
+// Query matching users whose restriction is in force
+UserSchema.statics.activeRestrictionFilter = function (extra = {}) {
+  return {
+    $and: [
+      extra,
+      {
+        $or: [
+          {"restriction.action": "ban"},
+          {
+            "restriction.action": "suspend",
+            "restriction.until": {$gt: new Date()},
+          },
+        ],
+      },
+    ],
+  };
+};
+
+// Authors whose articles are hidden from the public while restricted
+UserSchema.statics.hiddenAuthorIds = function () {
+  return this.find(
+    this.activeRestrictionFilter({"restriction.hideArticles": true})
+  ).distinct("_id");
+};
+
+// Message explaining why a restricted user cannot use their account
+export const restrictionMessage = (restriction) =>
+  restriction.action === "ban"
+    ? "Your account has been banned"
+    : `Your account is suspended until ${restriction.until.toISOString()}`;
+
+// Error for a restricted user, the details let clients show when it ends
+export const restrictionError = (restriction) =>
+  new ForbiddenError(restrictionMessage(restriction), {
+    code: "ACCOUNT_RESTRICTED",
+    details: {
+      restriction: {
+        action: restriction.action,
+        reason: restriction.reason,
+        until: restriction.until,
+      },
+    },
+  });
+
 const User = mongoose.model("User", UserSchema);
 
 export default User;
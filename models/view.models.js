@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// One document per visitor per article per de-duplication window
+const ViewSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Article",
+    required: true,
+  },
+  // User id for logged-in readers, a hash of ip and user agent otherwise
+  visitor: {
+    type: String,
+    required: true,
+  },
+  window: {
+    type: Number,
+    required: true,
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ViewSchema.index({article: 1, visitor: 1, window: 1}, {unique: true});
+ViewSchema.index({article: 1, viewedAt: 1});
+ViewSchema.index({viewedAt: 1});
+
+const View = mongoose.model("View", ViewSchema);
+
+export default View;
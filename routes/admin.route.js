@@ -1,5 +1,10 @@
 import express from "express";
-import { authenticateAdmin } from "../middlewares/middleware.js";
+import {
+  authenticateAdmin,
+  requirePermission,
+} from "../middlewares/middleware.js";
+import {rateLimit} from "../middlewares/rateLimit.middleware.js";
+import {validate} from "../middlewares/validate.middleware.js";
 import {
   registerAdmin,
   loginAdmin,
@@ -10,35 +15,370 @@ import {
   approveArticle,
   rejectArticle,
   unpublishArticle,
+  updateArticleSlug,
   deleteArticleAdmin,
   getAllUsers,
   getUserArticles,
   getAnalytics,
+  getAdmins,
+  updateAdminRole,
+  suspendUser,
+  banUser,
+  liftRestriction,
 } from "../controllers/admin.controller.js";
+import {
+  getRecentComments,
+  hideComment,
+  unhideComment,
+  deleteCommentAdmin,
+} from "../controllers/comment.controller.js";
+import {
+  refreshSession,
+  logout,
+  logoutEverywhere,
+} from "../controllers/session.controller.js";
+import {
+  forgotPassword,
+  resetPassword,
+} from "../controllers/password.controller.js";
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+} from "../controllers/invitation.controller.js";
+import {getArticleStats} from "../controllers/stats.controller.js";
+import {
+  createCategory,
+  updateCategory,
+  renameCategory,
+  mergeCategory,
+  deleteCategory,
+} from "../controllers/category.controller.js";
+import {
+  getRevisions,
+  getRevision,
+  diffArticleRevisions,
+} from "../controllers/revision.controller.js";
+import {
+  idSchema,
+  commentIdSchema,
+  paginatedSchema,
+  statsSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  revisionSchema,
+  revisionDiffSchema,
+} from "../validators/common.validators.js";
+import {
+  registerAdminSchema,
+  adminArticleListSchema,
+  approveArticleSchema,
+  moderationReasonSchema,
+  articleSlugSchema,
+  createCategorySchema,
+  updateCategorySchema,
+  renameCategorySchema,
+  mergeCategorySchema,
+  adminCommentListSchema,
+  userListSchema,
+  userArticlesSchema,
+  suspendUserSchema,
+  banUserSchema,
+  updateAdminRoleSchema,
+  createInvitationSchema,
+  invitationListSchema,
+  analyticsSchema,
+} from "../validators/admin.validators.js";
 
 const router = express.Router();
 
+const authLimit = rateLimit("auth");
+
 // Admin Authentication Routes
-router.post("/register", registerAdmin);
-router.post("/login", loginAdmin);
+router.post(
+  "/register",
+  authLimit,
+  validate(registerAdminSchema),
+  registerAdmin
+);
+router.post(
+  "/login",
+  authLimit,
+  rateLimit("login", "account"),
+  validate(loginSchema),
+  loginAdmin
+);
+router.post(
+  "/refresh",
+  authLimit,
+  validate(refreshTokenSchema),
+  refreshSession("Admin")
+);
+router.post(
+  "/logout",
+  authLimit,
+  validate(refreshTokenSchema),
+  logout("Admin")
+);
+router.post("/logout-all", authenticateAdmin, logoutEverywhere);
+router.post(
+  "/forgot-password",
+  authLimit,
+  validate(forgotPasswordSchema),
+  forgotPassword("Admin")
+);
+router.post(
+  "/reset-password",
+  authLimit,
+  validate(resetPasswordSchema),
+  resetPassword("Admin")
+);
 
 // Admin Dashboard
-router.get("/dashboard", authenticateAdmin, getAdminDashboard);
+router.get(
+  "/dashboard",
+  authenticateAdmin,
+  requirePermission("dashboard:read"),
+  getAdminDashboard
+);
 
 // Article Management Routes
-router.get("/articles/pending", authenticateAdmin, getPendingArticles);
-router.get("/articles", authenticateAdmin, getAllArticlesAdmin);
-router.get("/articles/:id", authenticateAdmin, getArticleByIdAdmin);
-router.put("/articles/:id/approve", authenticateAdmin, approveArticle);
-router.put("/articles/:id/reject", authenticateAdmin, rejectArticle);
-router.put("/articles/:id/unpublish", authenticateAdmin, unpublishArticle);
-router.delete("/articles/:id", authenticateAdmin, deleteArticleAdmin);
+router.get(
+  "/articles/pending",
+  authenticateAdmin,
+  requirePermission("articles:read"),
+  validate(paginatedSchema),
+  getPendingArticles
+);
+router.get(
+  "/articles",
+  authenticateAdmin,
+  requirePermission("articles:read"),
+  validate(adminArticleListSchema),
+  getAllArticlesAdmin
+);
+router.get(
+  "/articles/:id",
+  authenticateAdmin,
+  requirePermission("articles:read"),
+  validate(idSchema),
+  getArticleByIdAdmin
+);
+router.put(
+  "/articles/:id/approve",
+  authenticateAdmin,
+  requirePermission("articles:approve"),
+  validate(approveArticleSchema),
+  approveArticle
+);
+router.put(
+  "/articles/:id/reject",
+  authenticateAdmin,
+  requirePermission("articles:reject"),
+  validate(moderationReasonSchema),
+  rejectArticle
+);
+router.put(
+  "/articles/:id/unpublish",
+  authenticateAdmin,
+  requirePermission("articles:unpublish"),
+  validate(moderationReasonSchema),
+  unpublishArticle
+);
+router.put(
+  "/articles/:id/slug",
+  authenticateAdmin,
+  requirePermission("articles:edit"),
+  validate(articleSlugSchema),
+  updateArticleSlug
+);
+router.delete(
+  "/articles/:id",
+  authenticateAdmin,
+  requirePermission("articles:delete"),
+  validate(idSchema),
+  deleteArticleAdmin
+);
+router.get(
+  "/articles/:id/stats",
+  authenticateAdmin,
+  requirePermission("analytics:read"),
+  validate(statsSchema),
+  getArticleStats
+);
+router.get(
+  "/articles/:id/revisions",
+  authenticateAdmin,
+  requirePermission("articles:read"),
+  validate(idSchema),
+  getRevisions
+);
+router.get(
+  "/articles/:id/revisions/diff",
+  authenticateAdmin,
+  requirePermission("articles:read"),
+  validate(revisionDiffSchema),
+  diffArticleRevisions
+);
+router.get(
+  "/articles/:id/revisions/:revision",
+  authenticateAdmin,
+  requirePermission("articles:read"),
+  validate(revisionSchema),
+  getRevision
+);
+
+// Category Management Routes
+router.post(
+  "/categories",
+  authenticateAdmin,
+  requirePermission("categories:manage"),
+  validate(createCategorySchema),
+  createCategory
+);
+router.put(
+  "/categories/:id",
+  authenticateAdmin,
+  requirePermission("categories:manage"),
+  validate(updateCategorySchema),
+  updateCategory
+);
+router.put(
+  "/categories/:id/rename",
+  authenticateAdmin,
+  requirePermission("categories:manage"),
+  validate(renameCategorySchema),
+  renameCategory
+);
+router.post(
+  "/categories/:id/merge",
+  authenticateAdmin,
+  requirePermission("categories:manage"),
+  validate(mergeCategorySchema),
+  mergeCategory
+);
+router.delete(
+  "/categories/:id",
+  authenticateAdmin,
+  requirePermission("categories:manage"),
+  validate(idSchema),
+  deleteCategory
+);
+
+// Comment Moderation Routes
+router.get(
+  "/comments",
+  authenticateAdmin,
+  requirePermission("comments:read"),
+  validate(adminCommentListSchema),
+  getRecentComments
+);
+router.put(
+  "/comments/:commentId/hide",
+  authenticateAdmin,
+  requirePermission("comments:moderate"),
+  validate(commentIdSchema),
+  hideComment
+);
+router.put(
+  "/comments/:commentId/unhide",
+  authenticateAdmin,
+  requirePermission("comments:moderate"),
+  validate(commentIdSchema),
+  unhideComment
+);
+router.delete(
+  "/comments/:commentId",
+  authenticateAdmin,
+  requirePermission("comments:moderate"),
+  validate(commentIdSchema),
+  deleteCommentAdmin
+);
 
 // User Management Routes
-router.get("/users", authenticateAdmin, getAllUsers);
-router.get("/users/:id/articles", authenticateAdmin, getUserArticles);
+router.get(
+  "/users",
+  authenticateAdmin,
+  requirePermission("users:read"),
+  validate(userListSchema),
+  getAllUsers
+);
+router.get(
+  "/users/:id/articles",
+  authenticateAdmin,
+  requirePermission("users:read"),
+  validate(userArticlesSchema),
+  getUserArticles
+);
+router.put(
+  "/users/:id/suspend",
+  authenticateAdmin,
+  requirePermission("users:moderate"),
+  validate(suspendUserSchema),
+  suspendUser
+);
+router.put(
+  "/users/:id/ban",
+  authenticateAdmin,
+  requirePermission("users:moderate"),
+  validate(banUserSchema),
+  banUser
+);
+router.put(
+  "/users/:id/lift-restriction",
+  authenticateAdmin,
+  requirePermission("users:moderate"),
+  validate(moderationReasonSchema),
+  liftRestriction
+);
+
+// Admin Role Management Routes
+router.get(
+  "/admins",
+  authenticateAdmin,
+  requirePermission("admins:manage"),
+  getAdmins
+);
+router.put(
+  "/admins/:id/role",
+  authenticateAdmin,
+  requirePermission("admins:manage"),
+  validate(updateAdminRoleSchema),
+  updateAdminRole
+);
+
+// Admin Invitation Routes
+router.post(
+  "/invitations",
+  authenticateAdmin,
+  requirePermission("admins:manage"),
+  validate(createInvitationSchema),
+  createInvitation
+);
+router.get(
+  "/invitations",
+  authenticateAdmin,
+  requirePermission("admins:manage"),
+  validate(invitationListSchema),
+  getInvitations
+);
+router.delete(
+  "/invitations/:id",
+  authenticateAdmin,
+  requirePermission("admins:manage"),
+  validate(idSchema),
+  revokeInvitation
+);
 
 // Analytics Routes
-router.get("/analytics", authenticateAdmin, getAnalytics);
+router.get(
+  "/analytics",
+  authenticateAdmin,
+  requirePermission("analytics:read"),
+  validate(analyticsSchema),
+  getAnalytics
+);
 
 export default router;
@@ -0,0 +1,31 @@
+import express from "express";
+import {validate} from "../middlewares/validate.middleware.js";
+import {
+  getSiteFeed,
+  getCategoryFeed,
+  getAuthorFeed,
+  getSitemap,
+} from "../controllers/feed.controller.js";
+import {
+  feedSchema,
+  categoryFeedSchema,
+  authorFeedSchema,
+} from "../validators/feed.validators.js";
+
+const router = express.Router();
+
+// Syndication Routes (Public)
+router.get("/feeds/:format", validate(feedSchema), getSiteFeed);
+router.get(
+  "/feeds/categories/:category/:format",
+  validate(categoryFeedSchema),
+  getCategoryFeed
+);
+router.get(
+  "/feeds/authors/:username/:format",
+  validate(authorFeedSchema),
+  getAuthorFeed
+);
+router.get("/sitemap.xml", getSitemap);
+
+export default router;
@@ -1,34 +1,375 @@
 import express from "express";
-import {authenticateUser} from "../middlewares/middleware.js";
+import {
+  authenticateUser,
+  optionalAuthenticateUser,
+  requireVerifiedEmail,
+} from "../middlewares/middleware.js";
+import {rateLimit} from "../middlewares/rateLimit.middleware.js";
+import {uploadImage} from "../middlewares/upload.middleware.js";
+import {validate} from "../middlewares/validate.middleware.js";
 import {
   registerUser,
   loginUser,
+  changePassword,
   getUserDashboard,
   getAllArticles,
   getArticleById,
+  getArticleBySlug,
   createArticle,
+  submitArticle,
+  withdrawArticle,
   getUserArticles,
   updateArticle,
   deleteArticle,
 } from "../controllers/user.controller.js";
+import {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} from "../controllers/comment.controller.js";
+import {
+  likeArticle,
+  unlikeArticle,
+  bookmarkArticle,
+  unbookmarkArticle,
+  getBookmarks,
+} from "../controllers/reaction.controller.js";
+import {
+  refreshSession,
+  logout,
+  logoutEverywhere,
+} from "../controllers/session.controller.js";
+import {
+  forgotPassword,
+  resetPassword,
+} from "../controllers/password.controller.js";
+import {
+  verifyEmail,
+  resendVerification,
+} from "../controllers/verification.controller.js";
+import {getArticleStats} from "../controllers/stats.controller.js";
+import {uploadMedia} from "../controllers/media.controller.js";
+import {searchArticles} from "../controllers/search.controller.js";
+import {getCategories} from "../controllers/category.controller.js";
+import {
+  getMyProfile,
+  updateProfile,
+  getAuthorProfile,
+} from "../controllers/profile.controller.js";
+import {
+  followAuthor,
+  unfollowAuthor,
+  followCategory,
+  unfollowCategory,
+  getFollowers,
+  getFollowing,
+  getFollowedCategories,
+  getFeed,
+} from "../controllers/follow.controller.js";
+import {
+  getRevisions,
+  getRevision,
+  diffArticleRevisions,
+  restoreRevision,
+} from "../controllers/revision.controller.js";
+import {
+  idSchema,
+  commentIdSchema,
+  paginatedSchema,
+  statsSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  revisionSchema,
+  revisionDiffSchema,
+} from "../validators/common.validators.js";
+import {
+  registerUserSchema,
+  changePasswordSchema,
+  verifyEmailSchema,
+  articleListSchema,
+  articleSchema,
+  articleBySlugSchema,
+  myArticlesSchema,
+  createArticleSchema,
+  updateArticleSchema,
+  searchSchema,
+  createCommentSchema,
+  updateCommentSchema,
+  commentListSchema,
+  updateProfileSchema,
+  authorProfileSchema,
+  followAuthorSchema,
+  followListSchema,
+  followCategorySchema,
+} from "../validators/user.validators.js";
 
 const router = express.Router();
 
+const authLimit = rateLimit("auth");
+const searchLimit = rateLimit("search");
+
 // User Authentication Routes
-router.post("/register", registerUser);
-router.post("/login", loginUser);
+router.post("/register", authLimit, validate(registerUserSchema), registerUser);
+router.post(
+  "/login",
+  authLimit,
+  rateLimit("login", "account"),
+  validate(loginSchema),
+  loginUser
+);
+router.post(
+  "/refresh",
+  authLimit,
+  validate(refreshTokenSchema),
+  refreshSession("User")
+);
+router.post("/logout", authLimit, validate(refreshTokenSchema), logout("User"));
+router.post("/logout-all", authenticateUser, logoutEverywhere);
+router.post(
+  "/forgot-password",
+  authLimit,
+  validate(forgotPasswordSchema),
+  forgotPassword("User")
+);
+router.post(
+  "/reset-password",
+  authLimit,
+  validate(resetPasswordSchema),
+  resetPassword("User")
+);
+router.put(
+  "/change-password",
+  authLimit,
+  authenticateUser,
+  validate(changePasswordSchema),
+  changePassword
+);
+router.post(
+  "/verify-email",
+  authLimit,
+  validate(verifyEmailSchema),
+  verifyEmail
+);
+router.post(
+  "/resend-verification",
+  authLimit,
+  authenticateUser,
+  resendVerification
+);
 
 // User Dashboard
 router.get("/dashboard", authenticateUser, getUserDashboard);
 
+// Profile Routes
+router.get("/profile", authenticateUser, getMyProfile);
+router.put(
+  "/profile",
+  authenticateUser,
+  validate(updateProfileSchema),
+  updateProfile
+);
+router.get(
+  "/authors/:username",
+  optionalAuthenticateUser,
+  validate(authorProfileSchema),
+  getAuthorProfile
+);
+
+// Follow Routes
+router.get("/feed", authenticateUser, validate(paginatedSchema), getFeed);
+router.put(
+  "/authors/:username/follow",
+  authenticateUser,
+  validate(followAuthorSchema),
+  followAuthor
+);
+router.delete(
+  "/authors/:username/follow",
+  authenticateUser,
+  validate(followAuthorSchema),
+  unfollowAuthor
+);
+router.get(
+  "/authors/:username/followers",
+  validate(followListSchema),
+  getFollowers
+);
+router.get(
+  "/authors/:username/following",
+  validate(followListSchema),
+  getFollowing
+);
+router.get("/following/categories", authenticateUser, getFollowedCategories);
+router.put(
+  "/categories/:slug/follow",
+  authenticateUser,
+  validate(followCategorySchema),
+  followCategory
+);
+router.delete(
+  "/categories/:slug/follow",
+  authenticateUser,
+  validate(followCategorySchema),
+  unfollowCategory
+);
+
 // Public Article Routes
-router.get("/articles", getAllArticles);
-router.get("/articles/:id", getArticleById);
+router.get(
+  "/articles",
+  searchLimit,
+  optionalAuthenticateUser,
+  validate(articleListSchema),
+  getAllArticles
+);
+router.get(
+  "/articles/slug/:slug",
+  optionalAuthenticateUser,
+  validate(articleBySlugSchema),
+  getArticleBySlug
+);
+router.get(
+  "/articles/:id",
+  optionalAuthenticateUser,
+  validate(articleSchema),
+  getArticleById
+);
+router.get("/search", searchLimit, validate(searchSchema), searchArticles);
+router.get("/categories", getCategories);
 
 // User Article Routes (Protected)
-router.post("/articles", authenticateUser, createArticle);
-router.get("/my-articles", authenticateUser, getUserArticles);
-router.put("/articles/:id", authenticateUser, updateArticle);
-router.delete("/articles/:id", authenticateUser, deleteArticle);
+router.post(
+  "/articles",
+  authenticateUser,
+  requireVerifiedEmail,
+  validate(createArticleSchema),
+  createArticle
+);
+router.get(
+  "/my-articles",
+  authenticateUser,
+  validate(myArticlesSchema),
+  getUserArticles
+);
+router.put(
+  "/articles/:id",
+  authenticateUser,
+  validate(updateArticleSchema),
+  updateArticle
+);
+router.delete(
+  "/articles/:id",
+  authenticateUser,
+  validate(idSchema),
+  deleteArticle
+);
+router.post(
+  "/articles/:id/submit",
+  authenticateUser,
+  validate(idSchema),
+  submitArticle
+);
+router.post(
+  "/articles/:id/withdraw",
+  authenticateUser,
+  validate(idSchema),
+  withdrawArticle
+);
+router.get(
+  "/articles/:id/stats",
+  authenticateUser,
+  validate(statsSchema),
+  getArticleStats
+);
+
+// Media Upload Routes (Protected)
+router.post(
+  "/media",
+  authenticateUser,
+  requireVerifiedEmail,
+  uploadImage("image"),
+  uploadMedia
+);
+
+// Comment Routes
+router.get("/articles/:id/comments", validate(commentListSchema), getComments);
+router.post(
+  "/articles/:id/comments",
+  authenticateUser,
+  validate(createCommentSchema),
+  createComment
+);
+router.put(
+  "/comments/:commentId",
+  authenticateUser,
+  validate(updateCommentSchema),
+  updateComment
+);
+router.delete(
+  "/comments/:commentId",
+  authenticateUser,
+  validate(commentIdSchema),
+  deleteComment
+);
+
+// Like and Bookmark Routes
+router.put(
+  "/articles/:id/like",
+  authenticateUser,
+  validate(idSchema),
+  likeArticle
+);
+router.delete(
+  "/articles/:id/like",
+  authenticateUser,
+  validate(idSchema),
+  unlikeArticle
+);
+router.put(
+  "/articles/:id/bookmark",
+  authenticateUser,
+  validate(idSchema),
+  bookmarkArticle
+);
+router.delete(
+  "/articles/:id/bookmark",
+  authenticateUser,
+  validate(idSchema),
+  unbookmarkArticle
+);
+router.get(
+  "/bookmarks",
+  authenticateUser,
+  validate(paginatedSchema),
+  getBookmarks
+);
+
+// Article Revision Routes (Protected)
+router.get(
+  "/articles/:id/revisions",
+  authenticateUser,
+  validate(idSchema),
+  getRevisions
+);
+router.get(
+  "/articles/:id/revisions/diff",
+  authenticateUser,
+  validate(revisionDiffSchema),
+  diffArticleRevisions
+);
+router.get(
+  "/articles/:id/revisions/:revision",
+  authenticateUser,
+  validate(revisionSchema),
+  getRevision
+);
+router.post(
+  "/articles/:id/revisions/:revision/restore",
+  authenticateUser,
+  validate(revisionSchema),
+  restoreRevision
+);
 
 export default router;
@@ -0,0 +1,59 @@
+// Bootstrap the first super-admin:
+//   npm run create-admin -- <username> <email>
+// The password is read from ADMIN_SEED_PASSWORD or asked for, never taken as
+// an argument where shell history and the process list would keep it.
+// When admins from before roles exist, promote one of them instead:
+//   npm run create-admin -- --promote <email>
+import {createInterface} from "node:readline/promises";
+import {Writable} from "node:stream";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/dbConnection.js";
+import {
+  createInitialAdmin,
+  promoteToSuperAdmin,
+} from "../utils/adminBootstrap.js";
+dotenv.config();
+
+// Typed characters go to a muted output, so the password is not echoed
+const promptPassword = async () => {
+  process.stdout.write("Password: ");
+  const prompt = createInterface({
+    input: process.stdin,
+    output: new Writable({write: (chunk, encoding, callback) => callback()}),
+    terminal: Boolean(process.stdin.isTTY),
+  });
+  const password = await prompt.question("");
+  prompt.close();
+  process.stdout.write("\n");
+  return password;
+};
+
+const args = process.argv.slice(2);
+const promote = args[0] === "--promote";
+
+await connectDB();
+
+if (promote) {
+  const {admin, error} = await promoteToSuperAdmin(args[1]);
+
+  if (error) {
+    console.error(error);
+    process.exitCode = 1;
+  } else {
+    console.log(`${admin.username} <${admin.email}> is now a super-admin`);
+  }
+} else {
+  const [username, email] = args;
+  const password = process.env.ADMIN_SEED_PASSWORD || (await promptPassword());
+  const {admin, error} = await createInitialAdmin({username, email, password});
+
+  if (error) {
+    console.error(error);
+    process.exitCode = 1;
+  } else {
+    console.log(`Super-admin ${admin.username} <${admin.email}> created`);
+  }
+}
+
+await mongoose.disconnect();
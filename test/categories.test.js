@@ -0,0 +1,51 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {matchCategory, seedSlugs} from "../utils/categories.js";
+
+const categories = [
+  {name: "C", slug: "c"},
+  {name: "C#", slug: "c-sharp"},
+  {name: "C++", slug: "cpp"},
+  {name: "Web Development", slug: "web-development"},
+  {name: "日本語", slug: "japanese"},
+];
+
+describe("matchCategory", () => {
+  it("matches exact slugs", () => {
+    assert.equal(matchCategory(categories, "cpp").name, "C++");
+    assert.equal(
+      matchCategory(categories, "Web-Development").name,
+      "Web Development"
+    );
+  });
+
+  it("matches names ignoring case", () => {
+    assert.equal(matchCategory(categories, "C#").slug, "c-sharp");
+    assert.equal(matchCategory(categories, "c++").slug, "cpp");
+    assert.equal(
+      matchCategory(categories, "web development").slug,
+      "web-development"
+    );
+    assert.equal(matchCategory(categories, "日本語").slug, "japanese");
+  });
+
+  it("does not match names that only slugify alike", () => {
+    assert.equal(matchCategory(categories, "C--"), null);
+    assert.equal(matchCategory(categories, "web_development"), null);
+    assert.equal(matchCategory(categories, "Русский"), null);
+  });
+});
+
+describe("seedSlugs", () => {
+  it("keeps valid slugs and gives other tags distinct ones", () => {
+    const slugs = seedSlugs(["c++", "c", "c#", "web dev", "日本語", "Русский"]);
+
+    assert.equal(slugs.get("c"), "c");
+    assert.equal(slugs.get("web dev"), "web-dev");
+    assert.equal(new Set(slugs.values()).size, 6);
+    assert.notEqual(slugs.get("c++"), "c");
+    assert.notEqual(slugs.get("c#"), "c");
+    assert.match(slugs.get("日本語"), /^category(-\d+)?$/);
+    assert.notEqual(slugs.get("日本語"), slugs.get("Русский"));
+  });
+});
@@ -0,0 +1,114 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+  articleUrl,
+  buildAtom,
+  buildRss,
+  buildSitemap,
+  escapeXml,
+} from "../utils/feeds.js";
+
+// Article links point at the frontend, read when a feed is built
+process.env.APP_URL = "http://localhost:3000";
+
+const article = {
+  _id: "507f1f77bcf86cd799439011",
+  slug: "tips-tricks",
+  title: "Tips & <Tricks>",
+  shortDescription: 'Say "hi"',
+  categoryTags: ["javascript"],
+  publishedDate: new Date("2024-01-02T00:00:00Z"),
+  updatedAt: new Date("2024-01-03T00:00:00Z"),
+  author: {username: "jane", displayName: "Jane Doe"},
+};
+
+const feed = {
+  title: "Articles",
+  description: "Latest articles",
+  link: "http://localhost:3000/",
+  selfUrl: "http://api.test/feeds/rss?a=1&b=2",
+  updatedAt: new Date("2024-01-03T00:00:00Z"),
+};
+
+describe("escapeXml", () => {
+  it("escapes markup characters and tolerates missing values", () => {
+    assert.equal(
+      escapeXml(`<a href="x">'&'</a>`),
+      "&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;"
+    );
+    assert.equal(escapeXml(undefined), "");
+  });
+});
+
+describe("articleUrl", () => {
+  it("prefers the slug over the id", () => {
+    assert.equal(
+      articleUrl(article),
+      "http://localhost:3000/articles/tips-tricks"
+    );
+    assert.equal(
+      articleUrl({...article, slug: undefined}),
+      `http://localhost:3000/articles/${article._id}`
+    );
+  });
+});
+
+describe("buildRss", () => {
+  const xml = buildRss(feed, [article]);
+
+  it("describes the channel", () => {
+    assert.match(
+      xml,
+      /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/
+    );
+    assert.match(
+      xml,
+      /<lastBuildDate>Wed, 03 Jan 2024 00:00:00 GMT<\/lastBuildDate>/
+    );
+    assert.match(
+      xml,
+      /<atom:link href="http:\/\/api.test\/feeds\/rss\?a=1&amp;b=2" rel="self"/
+    );
+  });
+
+  it("adds escaped items", () => {
+    assert.match(xml, /<title>Tips &amp; &lt;Tricks&gt;<\/title>/);
+    assert.match(xml, /<pubDate>Tue, 02 Jan 2024 00:00:00 GMT<\/pubDate>/);
+    assert.match(xml, /<dc:creator>Jane Doe<\/dc:creator>/);
+    assert.match(xml, /<category>javascript<\/category>/);
+    assert.match(xml, /<description>Say &quot;hi&quot;<\/description>/);
+  });
+});
+
+describe("buildAtom", () => {
+  const xml = buildAtom(feed, [article]);
+
+  it("adds entries with ISO dates", () => {
+    assert.match(xml, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+    assert.match(xml, /<updated>2024-01-03T00:00:00.000Z<\/updated>\n<entry>/);
+    assert.match(xml, /<id>urn:article:507f1f77bcf86cd799439011<\/id>/);
+    assert.match(xml, /<published>2024-01-02T00:00:00.000Z<\/published>/);
+    assert.match(xml, /<author><name>Jane Doe<\/name><\/author>/);
+  });
+
+  it("falls back to the username as author name", () => {
+    assert.match(
+      buildAtom(feed, [{...article, author: {username: "jane"}}]),
+      /<author><name>jane<\/name><\/author>/
+    );
+  });
+});
+
+describe("buildSitemap", () => {
+  it("lists article URLs with their last modification", () => {
+    assert.equal(
+      buildSitemap([article]),
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        "<url><loc>http://localhost:3000/articles/tips-tricks</loc><lastmod>2024-01-03T00:00:00.000Z</lastmod></url>",
+        "</urlset>",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,73 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+  renderMarkdown,
+  htmlToPlainText,
+  formatArticleBody,
+} from "../utils/markdown.js";
+
+describe("renderMarkdown", () => {
+  it("renders GitHub flavoured Markdown", () => {
+    assert.equal(
+      renderMarkdown("# Title\n\n~~old~~ **new**"),
+      "<h1>Title</h1>\n<p><del>old</del> <strong>new</strong></p>\n"
+    );
+  });
+
+  it("drops raw HTML and unsafe links", () => {
+    const html = renderMarkdown(
+      '<script>alert(1)</script>\n\n[x](javascript:alert(1)) <img src=x onerror="alert(1)">'
+    );
+
+    assert.doesNotMatch(html, /script|javascript:|onerror/);
+  });
+
+  it("marks links nofollow and images lazy", () => {
+    assert.match(
+      renderMarkdown("[site](https://example.com)"),
+      /<a href="https:\/\/example.com" rel="nofollow noopener noreferrer">/
+    );
+    assert.match(
+      renderMarkdown("![alt](https://example.com/a.png)"),
+      /<img src="https:\/\/example.com\/a.png" alt="alt" loading="lazy" \/>/
+    );
+  });
+});
+
+describe("htmlToPlainText", () => {
+  it("keeps paragraphs and decodes entities", () => {
+    assert.equal(
+      htmlToPlainText(
+        "<h1>A &amp; B</h1>\n<p>1 &lt; 2</p>\n<ul><li>x</li><li>y</li></ul>"
+      ),
+      "A & B\n\n1 < 2\n\nx\ny"
+    );
+  });
+});
+
+describe("formatArticleBody", () => {
+  const source = "Hello **world**";
+  const html = "<p>Hello <strong>world</strong></p>\n";
+
+  it("returns the Markdown source by default", () => {
+    assert.equal(formatArticleBody(source, html), source);
+    assert.equal(formatArticleBody(source, html, "markdown"), source);
+  });
+
+  it("returns the stored HTML", () => {
+    assert.equal(
+      formatArticleBody(source, "<p>stored</p>", "html"),
+      "<p>stored</p>"
+    );
+  });
+
+  it("renders HTML for articles saved before it was stored", () => {
+    assert.equal(formatArticleBody(source, undefined, "html"), html);
+    assert.equal(formatArticleBody(source, null, "html"), html);
+  });
+
+  it("returns plain text", () => {
+    assert.equal(formatArticleBody(source, html, "plain"), "Hello world");
+    assert.equal(formatArticleBody(source, undefined, "plain"), "Hello world");
+  });
+});
@@ -0,0 +1,99 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {pageModeInfo, parsePagination} from "../utils/pagination.js";
+
+const cursorFor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+describe("parsePagination", () => {
+  it("defaults to cursor mode with the default limit", () => {
+    assert.deepEqual(parsePagination({}), {
+      limit: 10,
+      mode: "cursor",
+      cursor: null,
+    });
+  });
+
+  it("uses page mode when a page is given or is the endpoint default", () => {
+    assert.deepEqual(parsePagination({page: "3", limit: "5"}), {
+      limit: 5,
+      mode: "page",
+      page: 3,
+    });
+    assert.deepEqual(parsePagination({}, {defaultMode: "page"}), {
+      limit: 10,
+      mode: "page",
+      page: 1,
+    });
+  });
+
+  it("caps the limit", () => {
+    assert.equal(parsePagination({limit: "500"}).limit, 50);
+    assert.equal(parsePagination({limit: "500"}, {maxLimit: 100}).limit, 100);
+  });
+
+  it("rejects invalid limits and pages", () => {
+    assert.deepEqual(parsePagination({limit: "0"}), {
+      error: "limit must be a positive integer",
+    });
+    assert.deepEqual(parsePagination({page: "-1"}), {
+      error: "page must be a positive integer",
+    });
+  });
+
+  it("decodes cursors and restores dates", () => {
+    const id = "507f1f77bcf86cd799439011";
+    const {cursor} = parsePagination({
+      cursor: cursorFor({v: "2024-01-01T00:00:00.000Z", d: true, id}),
+    });
+
+    assert.ok(cursor.value instanceof Date);
+    assert.equal(cursor.value.toISOString(), "2024-01-01T00:00:00.000Z");
+    assert.equal(cursor.id.toString(), id);
+  });
+
+  it("rejects malformed cursors", () => {
+    assert.deepEqual(parsePagination({cursor: "garbage"}), {
+      error: "Invalid cursor",
+    });
+    assert.deepEqual(
+      parsePagination({cursor: cursorFor({v: 1, d: false, id: "x"})}),
+      {error: "Invalid cursor"}
+    );
+  });
+});
+
+describe("pageModeInfo", () => {
+  it("describes the current page of the results", () => {
+    assert.deepEqual(pageModeInfo({limit: 10, page: 2}, 25, "next"), {
+      limit: 10,
+      hasMore: true,
+      nextCursor: "next",
+      totalPages: 3,
+      currentPage: 2,
+      total: 25,
+    });
+  });
+
+  it("drops the cursor on the last page", () => {
+    assert.deepEqual(pageModeInfo({limit: 10, page: 3}, 25, "next"), {
+      limit: 10,
+      hasMore: false,
+      nextCursor: null,
+      totalPages: 3,
+      currentPage: 3,
+      total: 25,
+    });
+  });
+
+  it("describes empty results", () => {
+    assert.deepEqual(pageModeInfo({limit: 10, page: 1}, 0), {
+      limit: 10,
+      hasMore: false,
+      nextCursor: null,
+      totalPages: 0,
+      currentPage: 1,
+      total: 0,
+    });
+  });
+});
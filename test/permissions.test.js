@@ -0,0 +1,32 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {hasPermission, userFieldsFor} from "../utils/permissions.js";
+
+describe("hasPermission", () => {
+  it("grants what the admin's role lists", () => {
+    assert.equal(hasPermission({role: "analyst"}, "analytics:read"), true);
+    assert.equal(hasPermission({role: "analyst"}, "users:read"), false);
+  });
+
+  it("grants nothing to admins without a role", () => {
+    assert.equal(hasPermission({}, "dashboard:read"), false);
+  });
+});
+
+describe("userFieldsFor", () => {
+  it("adds the email for admins who may read users", () => {
+    assert.equal(
+      userFieldsFor({role: "moderator"}, "username"),
+      "username email"
+    );
+    assert.equal(
+      userFieldsFor({role: "super-admin"}, "username"),
+      "username email"
+    );
+  });
+
+  it("leaves the email out for other roles", () => {
+    assert.equal(userFieldsFor({role: "editor"}, "username"), "username");
+    assert.equal(userFieldsFor({role: "analyst"}, "username"), "username");
+  });
+});
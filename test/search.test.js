@@ -0,0 +1,55 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {escapeRegex, getSearchTerms, highlight} from "../utils/search.js";
+
+describe("getSearchTerms", () => {
+  it("drops negations, quotes and single characters", () => {
+    assert.deepEqual(getSearchTerms('"node js" -java a express'), [
+      "node",
+      "js",
+      "express",
+    ]);
+  });
+});
+
+describe("escapeRegex", () => {
+  it("makes special characters match literally", () => {
+    assert.ok(new RegExp(escapeRegex("c++ (v2)")).test("learn c++ (v2) now"));
+  });
+});
+
+describe("highlight", () => {
+  it("wraps every match, including longer word forms", () => {
+    assert.equal(
+      highlight("Testing tests is a test", ["test"]),
+      "<mark>Testing</mark> <mark>tests</mark> is a <mark>test</mark>"
+    );
+  });
+
+  it("escapes HTML in the text", () => {
+    assert.equal(
+      highlight('<b>bold</b> & "quotes"', ["bold"]),
+      "&lt;b&gt;<mark>bold</mark>&lt;/b&gt; &amp; &quot;quotes&quot;"
+    );
+  });
+
+  it("never puts marks inside HTML entities", () => {
+    assert.equal(
+      highlight("Fish & chips < amp", ["amp", "lt", "quot"]),
+      "Fish &amp; chips &lt; <mark>amp</mark>"
+    );
+  });
+
+  it("cuts a snippet around the first match", () => {
+    const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+    const snippet = highlight(text, ["needle"], {length: 30});
+
+    assert.match(snippet, /^….*<mark>needle<\/mark>.*…$/);
+  });
+
+  it("returns null without a match or terms", () => {
+    assert.equal(highlight("nothing here", ["missing"]), null);
+    assert.equal(highlight("nothing here", []), null);
+    assert.equal(highlight("", ["x"]), null);
+  });
+});
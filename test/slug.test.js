@@ -0,0 +1,46 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {SLUG_PATTERN, slugify} from "../utils/slug.js";
+
+describe("slugify", () => {
+  it("joins lowercase words with single hyphens", () => {
+    assert.equal(slugify("  Hello, World!  "), "hello-world");
+    assert.equal(
+      slugify("Node.js -- the   Good Parts"),
+      "node-js-the-good-parts"
+    );
+  });
+
+  it("folds accents to plain letters", () => {
+    assert.equal(slugify("Crème Brûlée à la carte"), "creme-brulee-a-la-carte");
+  });
+
+  it("returns an empty slug when nothing usable is left", () => {
+    assert.equal(slugify("日本語"), "");
+    assert.equal(slugify("Русский"), "");
+    assert.equal(slugify(""), "");
+    assert.equal(slugify(undefined), "");
+  });
+
+  it("limits the length without a trailing hyphen", () => {
+    const slug = slugify(`${"a".repeat(79)} bcd`);
+
+    assert.equal(slug, "a".repeat(79));
+    assert.ok(SLUG_PATTERN.test(slug));
+  });
+});
+
+describe("SLUG_PATTERN", () => {
+  it("accepts lowercase hyphenated words only", () => {
+    assert.ok(SLUG_PATTERN.test("my-first-article-2"));
+    assert.ok(!SLUG_PATTERN.test("My-Article"));
+    assert.ok(!SLUG_PATTERN.test("double--hyphen"));
+    assert.ok(!SLUG_PATTERN.test("-leading"));
+  });
+
+  it("rejects slugs that look like ObjectIds", () => {
+    assert.ok(!SLUG_PATTERN.test("507f1f77bcf86cd799439011"));
+    assert.ok(SLUG_PATTERN.test("507f1f77bcf86cd79943901"));
+    assert.ok(SLUG_PATTERN.test("507f1f77bcf86cd799439011-2"));
+  });
+});
@@ -0,0 +1,126 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {validateObject} from "../utils/validation.js";
+
+describe("validateObject", () => {
+  it("coerces query string values to their types", () => {
+    const {value, errors} = validateObject(
+      {
+        page: {type: "integer"},
+        price: {type: "number"},
+        verified: {type: "boolean"},
+        from: {type: "date"},
+      },
+      {page: "2", price: "9.5", verified: "false", from: "2024-01-01"}
+    );
+
+    assert.deepEqual(errors, []);
+    assert.equal(value.page, 2);
+    assert.equal(value.price, 9.5);
+    assert.equal(value.verified, false);
+    assert.ok(value.from instanceof Date);
+  });
+
+  it("reports required fields and type errors", () => {
+    const {errors} = validateObject(
+      {
+        title: {type: "string", required: true},
+        id: {type: "objectId"},
+        email: {type: "email"},
+      },
+      {id: "nope", email: "not-an-email"}
+    );
+
+    assert.deepEqual(
+      errors.map(({field}) => field),
+      ["title", "id", "email"]
+    );
+  });
+
+  it("trims strings and checks bounds, enums and patterns", () => {
+    const schema = {
+      name: {type: "string", trim: true, required: true, min: 3, max: 5},
+      status: {type: "string", enum: ["draft", "pending"]},
+      slug: {type: "string", pattern: /^[a-z-]+$/},
+    };
+
+    assert.equal(validateObject(schema, {name: "  abc  "}).value.name, "abc");
+    assert.deepEqual(
+      validateObject(schema, {name: "   "}).errors[0].message,
+      "name is required"
+    );
+    assert.equal(
+      validateObject(schema, {name: "ab"}).errors[0].message,
+      "name must be at least 3 characters"
+    );
+    assert.equal(
+      validateObject(schema, {name: "abc", status: "gone"}).errors[0].message,
+      "status must be one of: draft, pending"
+    );
+    assert.equal(
+      validateObject(schema, {name: "abc", slug: "Bad Slug"}).errors[0].message,
+      "slug has an invalid format"
+    );
+  });
+
+  it("applies defaults, drops missing optional fields and keeps unknown ones", () => {
+    const {value} = validateObject(
+      {period: {type: "string", default: "month"}, search: {type: "string"}},
+      {search: "", extra: 1}
+    );
+
+    assert.deepEqual(value, {period: "month", extra: 1});
+  });
+
+  it("validates array items with indexed field names", () => {
+    const {errors} = validateObject(
+      {tags: {type: "array", max: 2, items: {type: "string", min: 1}}},
+      {tags: ["ok", 5]}
+    );
+
+    assert.deepEqual(errors, [
+      {field: "tags[1]", message: "tags[1] must be a string"},
+    ]);
+    assert.equal(
+      validateObject({tags: {type: "array", max: 2}}, {tags: [1, 2, 3]})
+        .errors[0].message,
+      "tags must be at most 2 items"
+    );
+  });
+
+  it("keeps explicit nulls for nullable fields", () => {
+    const schema = {parent: {type: "objectId", nullable: true}};
+
+    assert.deepEqual(validateObject(schema, {parent: null}).value, {
+      parent: null,
+    });
+    assert.deepEqual(validateObject(schema, {}).value, {});
+  });
+
+  it("accepts only http(s) URLs", () => {
+    const schema = {site: {type: "url"}};
+
+    assert.equal(
+      validateObject(schema, {site: "https://example.com/a"}).value.site,
+      "https://example.com/a"
+    );
+    assert.equal(
+      validateObject(schema, {site: "javascript:alert(1)"}).errors.length,
+      1
+    );
+  });
+
+  it("validates nested objects with prefixed field names", () => {
+    const {errors} = validateObject(
+      {links: {type: "object", fields: {github: {type: "url"}}}},
+      {links: {github: "nope"}}
+    );
+
+    assert.deepEqual(errors, [
+      {
+        field: "links.github",
+        message: "links.github must be a valid http(s) URL",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+import bcrypt from "bcrypt";
+import Admin from "../models/admin.models.js";
+import {SUPER_ADMIN_FILTER} from "./permissions.js";
+
+/**
+ * Create the first super-admin. Fails once any admin exists,
+ * every later admin has to be invited.
+ * Returns `{error}` when the admin cannot be created.
+ */
+export const createInitialAdmin = async ({username, email, password}) => {
+  if (!username || !email || !password) {
+    return {error: "username, email and password are required"};
+  }
+
+  if (password.length < 6) {
+    return {error: "Password must be at least 6 characters long"};
+  }
+
+  if (await Admin.exists({})) {
+    return {error: "An admin already exists, use an invitation instead"};
+  }
+
+  const admin = await Admin.create({
+    username,
+    email,
+    password: await bcrypt.hash(password, 10),
+    role: "super-admin",
+  });
+
+  return {admin};
+};
+
+/**
+ * Make an existing admin a super-admin, for sites whose admins all predate
+ * roles. Fails once a super-admin exists, they assign roles from then on.
+ * Returns `{error}` when the admin cannot be promoted.
+ */
+export const promoteToSuperAdmin = async (email) => {
+  if (!email) {
+    return {error: "email is required"};
+  }
+
+  if (await Admin.exists(SUPER_ADMIN_FILTER)) {
+    return {error: "A super-admin already exists, ask them to assign roles"};
+  }
+
+  const admin = await Admin.findOneAndUpdate(
+    {email: email.trim()},
+    {role: "super-admin"},
+    {new: true}
+  );
+
+  return admin ? {admin} : {error: `No admin found with email ${email}`};
+};
+
+// Seed the first admin from ADMIN_SEED_* variables, skipped once any admin exists
+export const seedAdminFromEnv = async () => {
+  const {ADMIN_SEED_USERNAME, ADMIN_SEED_EMAIL, ADMIN_SEED_PASSWORD} =
+    process.env;
+
+  if (!ADMIN_SEED_EMAIL || (await Admin.exists({}))) {
+    return;
+  }
+
+  const {admin, error} = await createInitialAdmin({
+    username: ADMIN_SEED_USERNAME,
+    email: ADMIN_SEED_EMAIL,
+    password: ADMIN_SEED_PASSWORD,
+  });
+
+  if (error) {
+    console.error(`Admin seed skipped: ${error}`);
+  } else {
+    console.log(`Seeded super-admin ${admin.email}`);
+  }
+};
@@ -0,0 +1,196 @@
+import Category from "../models/category.models.js";
+import Article from "../models/article.models.js";
+import Revision from "../models/revision.models.js";
+import {SLUG_PATTERN, slugify} from "./slug.js";
+import {publicArticleFilter} from "./visibility.js";
+import {BadRequestError, NotFoundError} from "./errors.js";
+
+const sameText = (a, b) =>
+  a.localeCompare(b, "en", {sensitivity: "accent"}) === 0;
+
+/**
+ * The category a tag refers to, by exact slug or by name ignoring case.
+ * Slugs win, so a tag never silently lands in a similarly named category.
+ */
+export const matchCategory = (categories, tag) =>
+  categories.find((category) => category.slug === tag.toLowerCase()) ||
+  categories.find((category) => sameText(category.name, tag)) ||
+  null;
+
+// Candidates for matchCategory, the collation makes name lookups ignore case
+const findCategoriesForTags = (tags) =>
+  Category.find({
+    $or: [
+      {slug: {$in: tags.map((tag) => tag.toLowerCase())}},
+      {name: {$in: tags}},
+    ],
+  })
+    .collation({locale: "en", strength: 2})
+    .select("name slug");
+
+/**
+ * Map tags given by an author (category names or slugs) to category slugs.
+ * Tags that don't match a category are rejected, new categories are created
+ * by admins.
+ */
+export const resolveCategoryTags = async (tags) => {
+  const categories = await findCategoriesForTags(tags);
+  const matched = tags.map((tag) => matchCategory(categories, tag));
+
+  const unknown = tags.filter((tag, index) => !matched[index]);
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown categories: ${unknown.join(", ")}`, {
+      code: "UNKNOWN_CATEGORY",
+      details: {categories: unknown},
+    });
+  }
+
+  return [...new Set(matched.map((category) => category.slug))];
+};
+
+// Slug to filter articles by for a category given by name or slug. Unknown
+// categories are used as given, so they match nothing (or legacy tags)
+export const categoryFilterSlug = async (category) => {
+  const match = matchCategory(
+    await findCategoriesForTags([category]),
+    category
+  );
+  return match ? match.slug : category.toLowerCase();
+};
+
+// Drop tags whose category was deleted, e.g. when restoring an old revision
+export const existingCategoryTags = async (tags) => {
+  const known = new Set(
+    await Category.find({slug: {$in: tags}}).distinct("slug")
+  );
+  return tags.filter((tag) => known.has(tag));
+};
+
+// Swap one tag for another in place, without duplicating the new tag
+const replaceTag = (from, to) => [
+  {
+    $set: {
+      categoryTags: {
+        $reduce: {
+          input: "$categoryTags",
+          initialValue: [],
+          in: {
+            $let: {
+              vars: {tag: {$cond: [{$eq: ["$$this", from]}, to, "$$this"]}},
+              in: {
+                $cond: [
+                  {$in: ["$$tag", "$$value"]},
+                  "$$value",
+                  {$concatArrays: ["$$value", ["$$tag"]]},
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+];
+
+// Rewrite a renamed or merged category in articles and their revisions,
+// so restoring an old revision keeps pointing at the current category
+export const replaceArticleTag = async (from, to) => {
+  const {modifiedCount} = await Article.updateMany(
+    {categoryTags: from},
+    replaceTag(from, to)
+  );
+  await Revision.updateMany({categoryTags: from}, replaceTag(from, to));
+  return modifiedCount;
+};
+
+// Whether `category` is `ancestor` itself or one of its subcategories
+export const isWithinCategory = async (category, ancestor) => {
+  let current = category;
+  while (current) {
+    if (current._id.equals(ancestor._id)) {
+      return true;
+    }
+    current = current.parent
+      ? await Category.findById(current.parent).select("parent")
+      : null;
+  }
+  return false;
+};
+
+/**
+ * Check that `parentId` can become the parent of `category` (null for a new
+ * category). A category can't be moved below itself or its descendants.
+ */
+export const checkCategoryParent = async (parentId, category = null) => {
+  const parent = await Category.findById(parentId).select("parent");
+  if (!parent) {
+    throw new NotFoundError("Parent category not found", {
+      code: "PARENT_NOT_FOUND",
+    });
+  }
+
+  if (category && (await isWithinCategory(parent, category))) {
+    throw new BadRequestError(
+      "A category can't be nested under itself or its subcategories",
+      {code: "INVALID_PARENT"}
+    );
+  }
+};
+
+// Number of readable articles per category slug
+export const getCategoryCounts = async () => {
+  const counts = await Article.aggregate([
+    {$match: await publicArticleFilter()},
+    {$unwind: "$categoryTags"},
+    {$group: {_id: "$categoryTags", count: {$sum: 1}}},
+  ]);
+  return new Map(counts.map(({_id, count}) => [_id, count]));
+};
+
+/**
+ * A distinct slug for every legacy tag. Tags that already are valid slugs keep
+ * them, the others get their own, so distinct tags such as "c" and "c++" never
+ * end up in one category. Admins can rename the generated ones.
+ */
+export const seedSlugs = (tags) => {
+  const slugs = new Map(
+    tags.filter((tag) => SLUG_PATTERN.test(tag)).map((tag) => [tag, tag])
+  );
+  const used = new Set(slugs.values());
+
+  for (const tag of tags.filter((tag) => !slugs.has(tag))) {
+    const derived = slugify(tag);
+    const base = SLUG_PATTERN.test(derived) ? derived : "category";
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    used.add(slug);
+    slugs.set(tag, slug);
+  }
+
+  return slugs;
+};
+
+// Turn the free-form tags used before the taxonomy existed into categories.
+// Runs once, while there are no categories yet
+export const seedCategoriesFromArticles = async () => {
+  if (await Category.exists({})) {
+    return;
+  }
+
+  const tags = await Article.distinct("categoryTags");
+  const slugs = seedSlugs(tags);
+
+  for (const tag of tags) {
+    const slug = slugs.get(tag);
+    await Category.create({name: tag, slug});
+    if (slug !== tag) {
+      await replaceArticleTag(tag, slug);
+    }
+  }
+
+  if (tags.length > 0) {
+    console.log(`Created categories from ${tags.length} article tag(s)`);
+  }
+};
@@ -0,0 +1,68 @@
+// Errors thrown by controllers and middleware, turned into JSON responses by
+// middlewares/error.middleware.js. `code` is a stable identifier for clients,
+// the message is for humans and may change. `details` are added to the body.
+
+export class AppError extends Error {
+  constructor(
+    message = "Internal server error",
+    {status = 500, code = "INTERNAL_ERROR", details} = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", {code = "BAD_REQUEST", details} = {}) {
+    super(message, {status: 400, code, details});
+  }
+}
+
+// Field-level input errors, `errors` is a list of {location, field, message}
+export class ValidationError extends AppError {
+  constructor(errors = [], message = "Validation failed") {
+    super(message, {status: 400, code: "VALIDATION_FAILED", details: {errors}});
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(
+    message = "Authentication required",
+    {code = "UNAUTHORIZED", details} = {}
+  ) {
+    super(message, {status: 401, code, details});
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(
+    message = "You do not have permission to perform this action",
+    {code = "FORBIDDEN", details} = {}
+  ) {
+    super(message, {status: 403, code, details});
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", {code = "NOT_FOUND", details} = {}) {
+    super(message, {status: 404, code, details});
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", {code = "CONFLICT", details} = {}) {
+    super(message, {status: 409, code, details});
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(
+    message = "Too many requests, please try again later",
+    {code = "TOO_MANY_REQUESTS", details} = {}
+  ) {
+    super(message, {status: 429, code, details});
+  }
+}
@@ -0,0 +1,109 @@
+import {appUrl} from "./mail/index.js";
+
+// Syndication output: RSS 2.0, Atom 1.0 and sitemaps, built as plain strings
+
+export const FEED_FORMATS = {
+  rss: "application/rss+xml",
+  atom: "application/atom+xml",
+};
+
+const XML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+export const escapeXml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+// Public page of an article in the frontend, slugs are preferred over ids
+export const articleUrl = (article) =>
+  appUrl(`/articles/${article.slug || article._id}`);
+
+const authorName = (article) =>
+  article.author?.displayName || article.author?.username || "Unknown";
+
+/**
+ * RSS 2.0 channel.
+ * `feed` is {title, description, link, selfUrl, updatedAt}, articles are
+ * published articles with their author populated.
+ */
+export const buildRss = (feed, articles) => {
+  const items = articles.map((article) =>
+    [
+      "<item>",
+      `<title>${escapeXml(article.title)}</title>`,
+      `<link>${escapeXml(articleUrl(article))}</link>`,
+      `<guid isPermaLink="false">${article._id}</guid>`,
+      `<pubDate>${article.publishedDate.toUTCString()}</pubDate>`,
+      `<dc:creator>${escapeXml(authorName(article))}</dc:creator>`,
+      ...article.categoryTags.map(
+        (tag) => `<category>${escapeXml(tag)}</category>`
+      ),
+      `<description>${escapeXml(article.shortDescription)}</description>`,
+      "</item>",
+    ].join("")
+  );
+
+  return [
+    XML_DECLARATION,
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "<channel>",
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.link)}</link>`,
+    `<description>${escapeXml(feed.description)}</description>`,
+    `<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="${FEED_FORMATS.rss}"/>`,
+    `<lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>`,
+    ...items,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+};
+
+// Atom 1.0 feed, takes the same arguments as buildRss
+export const buildAtom = (feed, articles) => {
+  const entries = articles.map((article) =>
+    [
+      "<entry>",
+      `<title>${escapeXml(article.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(articleUrl(article))}"/>`,
+      `<id>urn:article:${article._id}</id>`,
+      `<published>${article.publishedDate.toISOString()}</published>`,
+      `<updated>${article.updatedAt.toISOString()}</updated>`,
+      `<author><name>${escapeXml(authorName(article))}</name></author>`,
+      ...article.categoryTags.map(
+        (tag) => `<category term="${escapeXml(tag)}"/>`
+      ),
+      `<summary>${escapeXml(article.shortDescription)}</summary>`,
+      "</entry>",
+    ].join("")
+  );
+
+  return [
+    XML_DECLARATION,
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `<link rel="self" type="${FEED_FORMATS.atom}" href="${escapeXml(feed.selfUrl)}"/>`,
+    `<id>${escapeXml(feed.selfUrl)}</id>`,
+    `<updated>${feed.updatedAt.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+  ].join("\n");
+};
+
+export const buildSitemap = (articles) =>
+  [
+    XML_DECLARATION,
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...articles.map(
+      (article) =>
+        `<url><loc>${escapeXml(articleUrl(article))}</loc><lastmod>${article.updatedAt.toISOString()}</lastmod></url>`
+    ),
+    "</urlset>",
+  ].join("\n");
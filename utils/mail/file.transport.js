@@ -0,0 +1,23 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Writes each message to a JSON file and logs it, for local development and tests
+export const createFileTransport = () => {
+  const outbox = path.resolve(process.env.MAIL_OUTBOX_DIR || "mail-outbox");
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(outbox, {recursive: true});
+      const file = path.join(
+        outbox,
+        `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+      );
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      console.log(
+        `Mail to ${message.to} "${message.subject}" written to ${file}`
+      );
+      return {file};
+    },
+  };
+};
@@ -0,0 +1,45 @@
+import {createSmtpTransport} from "./smtp.transport.js";
+import {createFileTransport} from "./file.transport.js";
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+};
+
+let transport;
+
+// Transport is picked with MAIL_TRANSPORT and created on first use
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "file";
+    const create = transports[name];
+    if (!create) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = create();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for an in-memory one in tests
+export const setMailTransport = (custom) => {
+  transport = custom;
+};
+
+export const sendMail = ({to, subject, text, html}) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+// Absolute link into the frontend application
+export const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || "http://localhost:3000");
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
@@ -0,0 +1,18 @@
+import nodemailer from "nodemailer";
+
+// Delivers mail through an SMTP server configured from the environment
+export const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? {user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD}
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
@@ -0,0 +1,104 @@
+import {Marked} from "marked";
+import sanitizeHtml from "sanitize-html";
+
+// Article bodies are written in Markdown and rendered once, when they are saved
+export const ARTICLE_FORMATS = ["markdown", "html", "plain"];
+
+const marked = new Marked({gfm: true});
+
+// Everything outside this allowlist is dropped, including raw HTML in the source
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "p",
+    "br",
+    "hr",
+    "blockquote",
+    "pre",
+    "code",
+    "em",
+    "strong",
+    "del",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title", "loading"],
+    code: ["class"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  // Relative links and images (e.g. our own uploads) are kept as well
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: {img: ["http", "https"]},
+  allowProtocolRelative: false,
+  transformTags: {
+    // Authors' links should not pass on reputation or access to the opener
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: {...attribs, rel: "nofollow noopener noreferrer"},
+    }),
+    img: (tagName, attribs) => ({
+      tagName,
+      attribs: {...attribs, loading: "lazy"},
+    }),
+  },
+  // Images without a usable source would render as broken
+  exclusiveFilter: (frame) => frame.tag === "img" && !frame.attribs.src,
+};
+
+export const renderMarkdown = (source) =>
+  sanitizeHtml(marked.parse(source || ""), SANITIZE_OPTIONS);
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+};
+
+// Text-only version of rendered HTML, block elements become paragraphs
+export const htmlToPlainText = (html) =>
+  sanitizeHtml(
+    (html || "").replace(
+      /<\/(p|h[1-6]|li|blockquote|pre|tr)>|<br\s*\/?>/g,
+      "$&\n"
+    ),
+    {allowedTags: [], allowedAttributes: {}}
+  )
+    .replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+    .replace(/^[ \t]+|[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Article body in one of ARTICLE_FORMATS, from its Markdown source and stored
+ * HTML. Articles saved before Markdown rendering have no stored HTML yet.
+ */
+export const formatArticleBody = (source, html, format = "markdown") => {
+  if (format === "markdown") {
+    return source;
+  }
+  const rendered = html ?? renderMarkdown(source);
+  return format === "html" ? rendered : htmlToPlainText(rendered);
+};
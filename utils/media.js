@@ -0,0 +1,152 @@
+import sharp from "sharp";
+import Media from "../models/media.models.js";
+import {getStorage} from "./storage/index.js";
+import {randomToken} from "./tokens.js";
+import {AppError, NotFoundError} from "./errors.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Accepted upload types, the format sharp has to decode them as and the file extension
+export const MEDIA_TYPES = {
+  "image/jpeg": {format: "jpeg", extension: "jpg"},
+  "image/png": {format: "png", extension: "png"},
+  "image/webp": {format: "webp", extension: "webp"},
+};
+
+export const MAX_UPLOAD_BYTES =
+  (parseFloat(process.env.MEDIA_MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Thumbnails are cropped to fill the box, used in article listings
+const THUMBNAIL = {width: 480, height: 270};
+
+// Uploads not used by an article within this time are deleted
+const ORPHAN_TTL_MS =
+  (parseInt(process.env.MEDIA_ORPHAN_TTL_HOURS, 10) || 24) * HOUR;
+
+const unsupportedType = () =>
+  new AppError(
+    `Only ${Object.keys(MEDIA_TYPES).join(", ")} images are supported`,
+    {status: 415, code: "UNSUPPORTED_MEDIA_TYPE"}
+  );
+
+// The declared content type is not trusted, the file has to decode as it
+const readImage = async (buffer, mimeType) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.format === MEDIA_TYPES[mimeType].format) {
+      return metadata;
+    }
+  } catch {
+    // Not an image sharp can read
+  }
+  throw unsupportedType();
+};
+
+/**
+ * Store an uploaded image (a multer file) with a generated thumbnail.
+ * The media stays unattached until an article uses it.
+ */
+export const saveUpload = async (file, owner) => {
+  if (!MEDIA_TYPES[file.mimetype]) {
+    throw unsupportedType();
+  }
+
+  const {width, height} = await readImage(file.buffer, file.mimetype);
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL.width, THUMBNAIL.height, {fit: "cover"})
+    .webp({quality: 80})
+    .toBuffer();
+
+  const storage = getStorage();
+  const base = `${owner}/${randomToken(12)}`;
+  const key = `${base}.${MEDIA_TYPES[file.mimetype].extension}`;
+  const thumbnailKey = `${base}-thumb.webp`;
+
+  await storage.put(key, file.buffer, {contentType: file.mimetype});
+  await storage.put(thumbnailKey, thumbnail, {contentType: "image/webp"});
+
+  try {
+    return await Media.create({
+      owner,
+      key,
+      thumbnailKey,
+      mimeType: file.mimetype,
+      size: file.size,
+      width,
+      height,
+      originalName: file.originalname,
+    });
+  } catch (error) {
+    // Don't leave files behind that nothing points to
+    await Promise.all([storage.remove(key), storage.remove(thumbnailKey)]);
+    throw error;
+  }
+};
+
+// Point an article at a cover image uploaded by its author
+export const setCoverMedia = async (article, mediaId) => {
+  const media = await Media.findOne({
+    _id: mediaId,
+    owner: article.author,
+    article: {$in: [null, article._id]},
+  });
+
+  if (!media) {
+    throw new NotFoundError("Cover image not found", {
+      code: "MEDIA_NOT_FOUND",
+    });
+  }
+
+  article.coverMedia = media._id;
+  article.coverImage = media.url;
+};
+
+// Mark the cover as used once the article is saved, so it is not cleaned up
+export const claimCoverMedia = (article) =>
+  article.coverMedia
+    ? Media.updateOne(
+        {_id: article.coverMedia, article: null},
+        {article: article._id}
+      )
+    : null;
+
+// Remove media files from storage along with their records
+export const removeMedia = async (filter) => {
+  const items = await Media.find(filter);
+  const storage = getStorage();
+
+  for (const media of items) {
+    await Promise.all([
+      storage.remove(media.key),
+      storage.remove(media.thumbnailKey),
+    ]);
+    await media.deleteOne();
+  }
+
+  return items.length;
+};
+
+export const deleteArticleMedia = (articleId) =>
+  removeMedia({article: articleId});
+
+export const cleanupOrphanedMedia = () =>
+  removeMedia({
+    article: null,
+    createdAt: {$lt: new Date(Date.now() - ORPHAN_TTL_MS)},
+  });
+
+// Sweep unattached uploads every hour
+export const startMediaCleanup = () => {
+  const sweep = () =>
+    cleanupOrphanedMedia()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`Removed ${count} orphaned upload(s)`);
+        }
+      })
+      .catch((error) => console.error("Media cleanup failed:", error));
+
+  sweep();
+  setInterval(sweep, HOUR).unref();
+};
@@ -0,0 +1,186 @@
+import mongoose from "mongoose";
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const isPositiveInteger = (value) =>
+  /^\d+$/.test(String(value)) && Number(value) > 0;
+
+// Cursors are opaque to clients: base64url JSON of the last sort value and _id
+const encodeCursor = (doc, sortField) => {
+  const value = doc.get ? doc.get(sortField) : doc[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const {v, d, id} = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return {
+      value: d && v !== null ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read and validate pagination options from a request query.
+ * Page mode is used when `page` is given (or is the default for the endpoint),
+ * otherwise results are paged with an opaque `cursor`.
+ * Returns `{error}` when the query is invalid.
+ */
+export const parsePagination = (
+  query,
+  {
+    defaultLimit = DEFAULT_LIMIT,
+    maxLimit = MAX_LIMIT,
+    defaultMode = "cursor",
+  } = {}
+) => {
+  const {page, limit, cursor} = query;
+
+  if (limit !== undefined && !isPositiveInteger(limit)) {
+    return {error: "limit must be a positive integer"};
+  }
+
+  if (page !== undefined && !isPositiveInteger(page)) {
+    return {error: "page must be a positive integer"};
+  }
+
+  const pagination = {
+    limit: Math.min(
+      limit === undefined ? defaultLimit : Number(limit),
+      maxLimit
+    ),
+  };
+
+  if (cursor !== undefined) {
+    const decoded = decodeCursor(String(cursor));
+    if (!decoded) {
+      return {error: "Invalid cursor"};
+    }
+    return {...pagination, mode: "cursor", cursor: decoded};
+  }
+
+  if (page !== undefined || defaultMode === "page") {
+    return {
+      ...pagination,
+      mode: "page",
+      page: page === undefined ? 1 : Number(page),
+    };
+  }
+
+  return {...pagination, mode: "cursor", cursor: null};
+};
+
+// Documents that sort after the cursor, nulls sort last in descending order
+const afterCursor = (sortField, sortOrder, {value, id}) => {
+  const idOp = sortOrder < 0 ? "$lt" : "$gt";
+
+  if (sortField === "_id") {
+    return {_id: {[idOp]: id}};
+  }
+
+  if (value === null) {
+    return sortOrder < 0
+      ? {[sortField]: null, _id: {[idOp]: id}}
+      : {
+          $or: [
+            {[sortField]: null, _id: {[idOp]: id}},
+            {[sortField]: {$ne: null}},
+          ],
+        };
+  }
+
+  const conditions = [
+    {[sortField]: {[idOp]: value}},
+    {[sortField]: value, _id: {[idOp]: id}},
+  ];
+  if (sortOrder < 0) {
+    conditions.push({[sortField]: null});
+  }
+  return {$or: conditions};
+};
+
+/**
+ * Page mode envelope for `total` matching documents. `nextCursor` lets a
+ * client switch to cursor paging from the last item, it is only sent when
+ * another page exists. Endpoints with their own ordering (such as search by
+ * relevance) page themselves and use this for the same response shape.
+ */
+export const pageModeInfo = ({limit, page}, total, nextCursor = null) => {
+  const hasMore = page * limit < total;
+  return {
+    limit,
+    hasMore,
+    nextCursor: hasMore ? nextCursor : null,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    total,
+  };
+};
+
+/**
+ * Run a paginated find and return the items with a consistent page envelope.
+ * `build` can add populate/select calls to the underlying query.
+ */
+export const paginate = async (
+  Model,
+  filter,
+  pagination,
+  {sortField = "createdAt", sortOrder = -1, build = (query) => query} = {}
+) => {
+  const {mode, limit} = pagination;
+  const sort = {[sortField]: sortOrder, _id: sortOrder};
+
+  if (mode === "page") {
+    const {page} = pagination;
+    const [items, total] = await Promise.all([
+      build(Model.find(filter))
+        .sort(sort)
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Model.countDocuments(filter),
+    ]);
+
+    return {
+      items,
+      pageInfo: pageModeInfo(
+        pagination,
+        total,
+        items.length ? encodeCursor(items.at(-1), sortField) : null
+      ),
+    };
+  }
+
+  const query = pagination.cursor
+    ? {$and: [filter, afterCursor(sortField, sortOrder, pagination.cursor)]}
+    : filter;
+
+  // Fetch one extra document to know whether another page exists
+  const items = await build(Model.find(query))
+    .sort(sort)
+    .limit(limit + 1);
+  const hasMore = items.length > limit;
+  if (hasMore) {
+    items.pop();
+  }
+
+  return {
+    items,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items.at(-1), sortField) : null,
+    },
+  };
+};
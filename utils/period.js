@@ -0,0 +1,18 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+const PERIOD_DAYS = {
+  week: 7,
+  month: 30,
+  year: 365,
+};
+
+export const PERIODS = Object.keys(PERIOD_DAYS);
+
+// Date range for a named reporting period, unknown periods fall back to a month
+export const getPeriodRange = (period) => {
+  const endDate = new Date();
+  const startDate = new Date(
+    endDate.getTime() - (PERIOD_DAYS[period] || PERIOD_DAYS.month) * DAY
+  );
+  return {startDate, endDate};
+};
@@ -0,0 +1,64 @@
+// Every permission an admin role can grant
+export const PERMISSIONS = [
+  "dashboard:read",
+  "articles:read",
+  "articles:approve",
+  "articles:reject",
+  "articles:unpublish",
+  "articles:edit",
+  "articles:delete",
+  "categories:manage",
+  "comments:read",
+  "comments:moderate",
+  "users:read",
+  "users:moderate",
+  "analytics:read",
+  "admins:manage",
+];
+
+export const ROLE_PERMISSIONS = {
+  "super-admin": PERMISSIONS,
+  editor: [
+    "dashboard:read",
+    "articles:read",
+    "articles:approve",
+    "articles:reject",
+    "articles:unpublish",
+    "articles:edit",
+    "articles:delete",
+    "categories:manage",
+    "comments:read",
+    "comments:moderate",
+  ],
+  moderator: [
+    "dashboard:read",
+    "articles:read",
+    "articles:reject",
+    "articles:unpublish",
+    "comments:read",
+    "comments:moderate",
+    "users:read",
+    "users:moderate",
+  ],
+  analyst: ["dashboard:read", "articles:read", "analytics:read"],
+};
+
+export const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Admins created before roles existed (some self-registered) get no
+// permissions until a super-admin assigns a role, or the first one is
+// promoted with `npm run create-admin -- --promote <email>`
+export const LEGACY_ROLE = null;
+
+export const SUPER_ADMIN_FILTER = {role: "super-admin"};
+
+export const getRole = (admin) => admin.role || LEGACY_ROLE;
+
+export const getPermissions = (admin) => ROLE_PERMISSIONS[getRole(admin)] || [];
+
+export const hasPermission = (admin, permission) =>
+  getPermissions(admin).includes(permission);
+
+// User emails are personal data, only admins who may read users see them
+export const userFieldsFor = (admin, fields) =>
+  hasPermission(admin, "users:read") ? `${fields} email` : fields;
@@ -0,0 +1,51 @@
+import {createMemoryStore} from "./memory.store.js";
+
+const MINUTE = 60 * 1000;
+
+// Policy overrides come from RATE_LIMIT_<NAME>="<max>/<windowSeconds>"
+const fromEnv = (name, max, windowMs) => {
+  const [envMax, envWindow] = (process.env[`RATE_LIMIT_${name}`] || "").split(
+    "/"
+  );
+  return {
+    max: parseInt(envMax, 10) || max,
+    windowMs: (parseInt(envWindow, 10) || 0) * 1000 || windowMs,
+  };
+};
+
+// Limits per route group, counted per client IP unless stated otherwise
+export const POLICIES = {
+  // Login, registration, password and token endpoints
+  auth: fromEnv("AUTH", 20, 15 * MINUTE),
+  // Login attempts per account, whatever IP they come from
+  login: fromEnv("LOGIN", 10, 15 * MINUTE),
+  // Public article listing and search
+  search: fromEnv("SEARCH", 60, MINUTE),
+};
+
+// Failed logins before an account is locked, and for how long
+export const LOCKOUT = fromEnv("LOCKOUT", 5, 15 * MINUTE);
+
+let store = createMemoryStore();
+
+export const getRateLimitStore = () => store;
+
+// Plug in a shared store so limits hold across several server instances
+export const setRateLimitStore = (custom) => {
+  store = custom;
+};
+
+const lockKey = (accountType, account) =>
+  `lockout:${accountType}:${String(account).toLowerCase().trim()}`;
+
+// When the account is locked, the Date it unlocks, otherwise null
+export const getAccountLock = async (accountType, account) => {
+  const entry = await store.get(lockKey(accountType, account));
+  return entry && entry.count >= LOCKOUT.max ? new Date(entry.resetAt) : null;
+};
+
+export const recordLoginFailure = (accountType, account) =>
+  store.increment(lockKey(accountType, account), LOCKOUT.windowMs);
+
+export const clearLoginFailures = (accountType, account) =>
+  store.reset(lockKey(accountType, account));
@@ -0,0 +1,47 @@
+/**
+ * In-process counter store. Any shared store (e.g. Redis) must expose the same
+ * async methods to be used with setRateLimitStore:
+ *   increment(key, windowMs) -> {count, resetAt}
+ *   get(key) -> {count, resetAt} | null
+ *   reset(key)
+ */
+export const createMemoryStore = ({cleanupIntervalMs = 60 * 1000} = {}) => {
+  const counters = new Map();
+
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired windows so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, cleanupIntervalMs);
+  cleanup.unref?.();
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const entry = live(key) || {count: 0, resetAt: Date.now() + windowMs};
+      entry.count += 1;
+      counters.set(key, entry);
+      return {...entry};
+    },
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? {...entry} : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+  };
+};
@@ -0,0 +1,56 @@
+import Revision from "../models/revision.models.js";
+
+// Article fields that are captured in every revision
+export const REVISION_FIELDS = [
+  "coverImage",
+  "coverMedia",
+  "title",
+  "shortDescription",
+  "fullDescription",
+  "categoryTags",
+];
+
+// Store the current content of an article as its next revision
+export const snapshotArticle = async (
+  article,
+  {editedBy, restoredFrom} = {}
+) => {
+  const latest = await Revision.findOne({article: article._id})
+    .sort({revision: -1})
+    .select("revision");
+
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = article[field];
+  }
+
+  return Revision.create({
+    ...snapshot,
+    article: article._id,
+    revision: latest ? latest.revision + 1 : 1,
+    editedBy,
+    restoredFrom,
+  });
+};
+
+// Articles created before revisions existed get their current state as revision 1
+export const ensureInitialRevision = async (article) => {
+  const exists = await Revision.exists({article: article._id});
+  if (!exists) {
+    await snapshotArticle(article, {editedBy: article.author});
+  }
+};
+
+const isEqual = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-level diff between two revisions
+export const diffRevisions = (from, to) => {
+  const changes = [];
+  for (const field of REVISION_FIELDS) {
+    if (!isEqual(from[field], to[field])) {
+      changes.push({field, from: from[field], to: to[field]});
+    }
+  }
+  return changes;
+};
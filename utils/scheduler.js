@@ -0,0 +1,92 @@
+import Article from "../models/article.models.js";
+
+// setTimeout cannot wait longer than ~24.8 days, longer delays are chained
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const timers = new Map();
+
+const setLongTimeout = (id, runAt, callback) => {
+  const delay = Math.max(runAt.getTime() - Date.now(), 0);
+  const timer = setTimeout(
+    () =>
+      delay > MAX_TIMEOUT ? setLongTimeout(id, runAt, callback) : callback(),
+    Math.min(delay, MAX_TIMEOUT)
+  );
+  // Don't keep the process alive just for pending schedules
+  timer.unref?.();
+  timers.set(id, timer);
+};
+
+export const cancelSchedule = (articleId) => {
+  const id = articleId.toString();
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+};
+
+// Apply whatever transition is due for an article right now
+const processArticle = async (articleId) => {
+  const article = await Article.findById(articleId);
+  if (!article) {
+    return cancelSchedule(articleId);
+  }
+
+  const now = new Date();
+
+  if (article.status === "scheduled" && article.publishAt <= now) {
+    article.transitionTo("published", {
+      actor: article.scheduledBy,
+      reason: "Scheduled publish",
+    });
+    article.publishedDate = article.publishAt;
+    await article.save();
+  }
+
+  if (
+    article.status === "published" &&
+    article.expireAt &&
+    article.expireAt <= now
+  ) {
+    article.transitionTo("rejected", {
+      actor: article.scheduledBy,
+      reason: "Publication expired",
+    });
+    article.expireAt = undefined;
+    await article.save();
+  }
+
+  scheduleArticle(article);
+};
+
+// (Re)arm the timer for the next pending transition of an article
+export const scheduleArticle = (article) => {
+  const id = article._id.toString();
+  cancelSchedule(id);
+
+  let runAt;
+  if (article.status === "scheduled" && article.publishAt) {
+    runAt = article.publishAt;
+  } else if (article.status === "published" && article.expireAt) {
+    runAt = article.expireAt;
+  }
+
+  if (!runAt) {
+    return;
+  }
+
+  setLongTimeout(id, runAt, () => {
+    timers.delete(id);
+    processArticle(id).catch((error) => {
+      console.error(`Scheduler failed for article ${id}:`, error);
+    });
+  });
+};
+
+// Load pending schedules from MongoDB, overdue ones fire immediately
+export const startScheduler = async () => {
+  const articles = await Article.find({
+    $or: [{status: "scheduled"}, {status: "published", expireAt: {$ne: null}}],
+  }).select("status publishAt expireAt");
+
+  articles.forEach(scheduleArticle);
+  console.log(`Scheduler started with ${articles.length} pending schedule(s)`);
+};
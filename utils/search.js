@@ -0,0 +1,60 @@
+// Escape user input so it matches literally inside a RegExp
+export const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive "contains" match of the search text across several fields
+export const buildRegexSearch = (search, fields, arrayFields = []) => {
+  const pattern = new RegExp(escapeRegex(search), "i");
+  return [
+    ...fields.map((field) => ({[field]: pattern})),
+    ...arrayFields.map((field) => ({[field]: {$in: [pattern]}})),
+  ];
+};
+
+// Plain search words, without $text operators like quotes and negations
+export const getSearchTerms = (search) =>
+  String(search)
+    .split(/\s+/)
+    .filter((word) => !word.startsWith("-"))
+    .map((word) => word.replace(/"/g, ""))
+    .filter((word) => word.length > 1);
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// HTML-safe snippet around the first match, with every match wrapped in <mark>
+export const highlight = (text, terms, {length = 160} = {}) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  // Text search stems words, so also match longer forms of each term
+  const pattern = new RegExp(
+    `((?:${terms.map(escapeRegex).join("|")})\\w*)`,
+    "gi"
+  );
+  const first = text.search(pattern);
+  if (first === -1) {
+    return null;
+  }
+
+  const start = Math.max(first - Math.floor(length / 3), 0);
+  const end = Math.min(start + length, text.length);
+  const snippet = text.slice(start, end);
+
+  // Matches are found in the raw text and escaped piece by piece, so terms
+  // like "amp" never land inside an HTML entity
+  const marked = snippet
+    .split(pattern)
+    .map((part, index) =>
+      index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+
+  return `${start > 0 ? "…" : ""}${marked}${end < text.length ? "…" : ""}`;
+};
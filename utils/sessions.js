@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+import Session from "../models/session.models.js";
+import {generateToken} from "../middlewares/middleware.js";
+import {randomToken, hashToken} from "./tokens.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// Refresh tokens are "<sessionId>.<secret>", only the hash of the secret is stored
+const newRefreshSecret = () => randomToken(48);
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+  return {sessionId, secret};
+};
+
+const issueTokens = (session, secret) => ({
+  token: generateToken(session.subject, {
+    sessionId: session._id,
+    expiresIn: ACCESS_TOKEN_TTL,
+  }),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+// Start a new session after a successful login or registration
+export const createSession = async (subject, subjectModel, req) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    subject: subject._id,
+    subjectModel,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+  return issueTokens(session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a token that was already rotated out means it leaked,
+ * so the whole session (token family) is revoked.
+ * Returns `{error}` when the token cannot be used.
+ */
+export const rotateSession = async (refreshToken, subjectModel) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return {error: "Invalid refresh token"};
+  }
+
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    subjectModel,
+  });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return {error: "Session expired or revoked"};
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (session.usedTokenHashes.includes(presentedHash)) {
+    session.revokedAt = new Date();
+    session.revokedReason = "Refresh token reuse detected";
+    await session.save();
+    return {error: "Refresh token reuse detected, session revoked"};
+  }
+
+  if (presentedHash !== session.tokenHash) {
+    return {error: "Invalid refresh token"};
+  }
+
+  // Swap the stored hash atomically so concurrent refreshes cannot both win
+  const secret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    {_id: session._id, tokenHash: presentedHash, revokedAt: null},
+    {
+      tokenHash: hashToken(secret),
+      $push: {usedTokenHashes: presentedHash},
+      lastUsedAt: new Date(),
+    },
+    {new: true}
+  );
+  if (!rotated) {
+    return {error: "Invalid refresh token"};
+  }
+
+  return issueTokens(rotated, secret);
+};
+
+// Revoke the session a refresh token belongs to
+export const revokeSession = async (refreshToken, subjectModel) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return false;
+  }
+
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    subjectModel,
+    revokedAt: null,
+  });
+  if (!session || hashToken(parsed.secret) !== session.tokenHash) {
+    return false;
+  }
+
+  session.revokedAt = new Date();
+  session.revokedReason = "Logged out";
+  await session.save();
+  return true;
+};
+
+// Revoke every active session of a user or admin, optionally keeping one
+export const revokeAllSessions = async (
+  subjectId,
+  {reason = "Logged out everywhere", except} = {}
+) => {
+  const query = {subject: subjectId, revokedAt: null};
+  if (except) {
+    query._id = {$ne: except};
+  }
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+};
+
+// Access tokens are tied to a session, logging out revokes the session
+export const isSessionActive = (decoded) =>
+  decoded.sid &&
+  Session.exists({
+    _id: decoded.sid,
+    subject: decoded.id,
+    revokedAt: null,
+    expiresAt: {$gt: new Date()},
+  });
@@ -0,0 +1,40 @@
+import {escapeRegex} from "./search.js";
+
+const MAX_SLUG_LENGTH = 80;
+
+// Lowercase words joined by single hyphens, e.g. "my-first-article".
+// Never 24 hex characters, articles are looked up by slug or id in one query
+export const SLUG_PATTERN = /^(?![a-f0-9]{24}$)[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Readable URL segment from a title, accents are folded to plain letters.
+// Empty when nothing is left, e.g. for titles in non-Latin scripts
+export const slugify = (title) =>
+  String(title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * First free slug for `base` among current and previous slugs of other
+ * documents, numbering collisions as base-2, base-3 and so on.
+ */
+export const uniqueSlug = async (Model, base, excludeId) => {
+  const pattern = new RegExp(`^${escapeRegex(base)}(?:-\\d+)?$`);
+  const docs = await Model.find({
+    _id: {$ne: excludeId},
+    $or: [{slug: pattern}, {previousSlugs: pattern}],
+  }).select("slug previousSlugs");
+
+  const taken = new Set(
+    docs.flatMap((doc) => [doc.slug, ...doc.previousSlugs])
+  );
+
+  let candidate = base;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${base}-${n}`;
+  }
+  return candidate;
+};
@@ -0,0 +1,27 @@
+import {createLocalStorage} from "./local.storage.js";
+
+const drivers = {
+  local: createLocalStorage,
+};
+
+let storage;
+
+// Driver is picked with STORAGE_DRIVER and created on first use.
+// A driver provides put(key, buffer, {contentType}), remove(key), url(key)
+// and optionally serve(), a middleware that serves the stored files.
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const create = drivers[name];
+    if (!create) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    storage = create();
+  }
+  return storage;
+};
+
+// Swap the storage, e.g. for a cloud bucket or an in-memory one in tests
+export const setStorage = (custom) => {
+  storage = custom;
+};
@@ -0,0 +1,34 @@
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+
+// Keeps files on the local disk under UPLOAD_DIR, for single-server deployments
+export const createLocalStorage = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || "uploads");
+  const baseUrl = (process.env.UPLOAD_BASE_URL || "/uploads").replace(
+    /\/+$/,
+    ""
+  );
+
+  // Keys are generated by us, but never let one point outside the upload dir
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: "local",
+    put: async (key, buffer) => {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), {recursive: true});
+      await fs.writeFile(file, buffer);
+    },
+    remove: (key) => fs.rm(fileFor(key), {force: true}),
+    url: (key) => `${baseUrl}/${key}`,
+    // Files never change once written, so they can be cached for good
+    serve: () => express.static(root, {immutable: true, maxAge: "1y"}),
+  };
+};
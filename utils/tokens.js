@@ -0,0 +1,9 @@
+import crypto from "crypto";
+
+// Random secret for emailed links and refresh tokens
+export const randomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+// Only the hash of a secret token is ever stored
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
@@ -0,0 +1,190 @@
+// Small declarative validator used by middlewares/validate.middleware.js.
+// A schema maps field names to rules, for example:
+//   {title: {type: "string", required: true, trim: true, max: 200}}
+// Supported types: string, email, url (http or https), integer, number, boolean,
+// date, objectId, array (with an `items` rule) and object (with a `fields`
+// schema for its properties). `min`/`max` bound string and array lengths and
+// numeric values, `enum` limits the allowed values and `pattern` is a RegExp
+// strings must match. `nullable` fields accept an explicit null, e.g. to unset them.
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+// Query strings and form values arrive as strings, so numbers, booleans and
+// dates are coerced before they are checked
+const TYPES = {
+  string: (value) =>
+    typeof value === "string" ? {value} : {error: "must be a string"},
+  email: (value) =>
+    typeof value === "string" && EMAIL_PATTERN.test(value.trim())
+      ? {value: value.trim()}
+      : {error: "must be a valid email address"},
+  url: (value) => {
+    try {
+      const url = new URL(String(value).trim());
+      if (["http:", "https:"].includes(url.protocol)) {
+        return {value: url.toString()};
+      }
+    } catch {
+      // Not a URL
+    }
+    return {error: "must be a valid http(s) URL"};
+  },
+  integer: (value) => {
+    const number =
+      typeof value === "string" && INTEGER_PATTERN.test(value.trim())
+        ? Number(value)
+        : value;
+    return Number.isInteger(number)
+      ? {value: number}
+      : {error: "must be an integer"};
+  },
+  number: (value) => {
+    const number =
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    return typeof number === "number" && Number.isFinite(number)
+      ? {value: number}
+      : {error: "must be a number"};
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") {
+      return {value};
+    }
+    if (value === "true" || value === "false") {
+      return {value: value === "true"};
+    }
+    return {error: "must be true or false"};
+  },
+  date: (value) => {
+    const date =
+      typeof value === "string" || typeof value === "number"
+        ? new Date(value)
+        : null;
+    return date && !isNaN(date)
+      ? {value: date}
+      : {error: "must be a valid date"};
+  },
+  objectId: (value) =>
+    typeof value === "string" && OBJECT_ID_PATTERN.test(value)
+      ? {value}
+      : {error: "must be a valid id"},
+  array: (value) =>
+    Array.isArray(value) ? {value} : {error: "must be an array"},
+  object: (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? {value}
+      : {error: "must be an object"},
+};
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+const sizeOf = (value) => (typeof value === "number" ? value : value.length);
+
+const describeBound = (rule, bound) => {
+  if (rule.type === "string") {
+    return `${bound} characters`;
+  }
+  if (rule.type === "array") {
+    return `${bound} items`;
+  }
+  return bound;
+};
+
+const checkValue = (rule, input, field, errors) => {
+  const fail = (message) => {
+    errors.push({field, message: `${field} ${message}`});
+    return undefined;
+  };
+
+  const check = TYPES[rule.type];
+  if (!check) {
+    throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+
+  let {value, error} = check(input);
+  if (error) {
+    return fail(error);
+  }
+
+  if (rule.trim && typeof value === "string") {
+    value = value.trim();
+    if (rule.required && value === "") {
+      return fail("is required");
+    }
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return fail("has an invalid format");
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(", ")}`);
+  }
+
+  if (rule.min !== undefined && sizeOf(value) < rule.min) {
+    return fail(`must be at least ${describeBound(rule, rule.min)}`);
+  }
+
+  if (rule.max !== undefined && sizeOf(value) > rule.max) {
+    return fail(`must be at most ${describeBound(rule, rule.max)}`);
+  }
+
+  if (rule.type === "array" && rule.items) {
+    const errorCount = errors.length;
+    value = value.map((item, index) =>
+      checkValue(rule.items, item, `${field}[${index}]`, errors)
+    );
+    if (errors.length > errorCount) {
+      return undefined;
+    }
+  }
+
+  if (rule.type === "object" && rule.fields) {
+    const nested = validateObject(rule.fields, value);
+    if (nested.errors.length > 0) {
+      errors.push(
+        ...nested.errors.map((error) => ({
+          field: `${field}.${error.field}`,
+          message: `${field}.${error.message}`,
+        }))
+      );
+      return undefined;
+    }
+    value = nested.value;
+  }
+
+  return value;
+};
+
+/**
+ * Validate an object against a schema.
+ * Returns the input with validated fields replaced by their coerced values,
+ * and a list of `{field, message}` errors. Fields not in the schema are kept.
+ */
+export const validateObject = (schema, input) => {
+  const errors = [];
+  const value = {...input};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (rule.nullable && input[field] === null) {
+      continue;
+    }
+
+    if (isMissing(input[field])) {
+      if (rule.required) {
+        errors.push({field, message: `${field} is required`});
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      } else {
+        delete value[field];
+      }
+      continue;
+    }
+
+    value[field] = checkValue(rule, input[field], field, errors);
+  }
+
+  return {value, errors};
+};
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Article from "../models/article.models.js";
+import View from "../models/view.models.js";
+
+// Repeat views from the same visitor inside this window count once
+const WINDOW_MS =
+  (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) || 30) * 60 * 1000;
+
+const getVisitorKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+  const fingerprint = `${req.ip}|${req.headers["user-agent"] || ""}`;
+  return `anon:${crypto.createHash("sha256").update(fingerprint).digest("hex")}`;
+};
+
+// Record a view and bump the article counter when it is a new one
+export const recordView = async (articleId, req) => {
+  const now = new Date();
+  const result = await View.updateOne(
+    {
+      article: articleId,
+      visitor: getVisitorKey(req),
+      window: Math.floor(now.getTime() / WINDOW_MS),
+    },
+    {$setOnInsert: {viewedAt: now}},
+    {upsert: true}
+  ).catch((error) => {
+    // Lost a race with a concurrent request from the same visitor
+    if (error.code === 11000) {
+      return {upsertedCount: 0};
+    }
+    throw error;
+  });
+
+  if (result.upsertedCount > 0) {
+    await Article.updateOne({_id: articleId}, {$inc: {viewCount: 1}});
+  }
+};
+
+// Daily view counts for one or more articles
+export const getViewSeries = async (articleIds, {startDate, endDate}) => {
+  const ids = []
+    .concat(articleIds)
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+  const series = await View.aggregate([
+    {
+      $match: {
+        article: {$in: ids},
+        viewedAt: {$gte: startDate, $lte: endDate},
+      },
+    },
+    {
+      $group: {
+        _id: {$dateToString: {format: "%Y-%m-%d", date: "$viewedAt"}},
+        views: {$sum: 1},
+      },
+    },
+    {$sort: {_id: 1}},
+    {$project: {_id: 0, date: "$_id", views: 1}},
+  ]);
+
+  return series;
+};
+
+// Most viewed articles in a date range, optionally limited to some articles
+export const getMostViewed = async (
+  {startDate, endDate},
+  {match = {}, limit = 5} = {}
+) =>
+  View.aggregate([
+    {$match: {...match, viewedAt: {$gte: startDate, $lte: endDate}}},
+    {$group: {_id: "$article", views: {$sum: 1}}},
+    {$sort: {views: -1}},
+    {$limit: limit},
+    {
+      $lookup: {
+        from: "articles",
+        localField: "_id",
+        foreignField: "_id",
+        as: "article",
+      },
+    },
+    {$unwind: "$article"},
+    {
+      $project: {
+        _id: 1,
+        views: 1,
+        title: "$article.title",
+        author: "$article.author",
+      },
+    },
+  ]);
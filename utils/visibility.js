@@ -0,0 +1,33 @@
+import User from "../models/user.models.js";
+
+// Whether a restriction currently hides the author from the public
+export const isHiddenAuthor = async (authorId) =>
+  Boolean(
+    await User.exists(
+      User.activeRestrictionFilter({
+        _id: authorId,
+        "restriction.hideArticles": true,
+      })
+    )
+  );
+
+// Filter for articles readers may see: published, past their publish time,
+// not expired and not written by an author whose restriction hides their
+// articles. Expiry is checked here so an article disappears on time even if
+// the scheduler missed it, the scheduler only updates its stored status.
+// `extra` is combined with it, so callers can narrow but never widen it
+export const publicArticleFilter = async (extra = {}) => {
+  const now = new Date();
+
+  return {
+    $and: [
+      extra,
+      {
+        status: "published",
+        publishedDate: {$lte: now},
+        $or: [{expireAt: null}, {expireAt: {$gt: now}}],
+        author: {$nin: await User.hiddenAuthorIds()},
+      },
+    ],
+  };
+};
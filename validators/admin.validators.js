@@ -0,0 +1,166 @@
+import {ARTICLE_STATUSES} from "../models/article.models.js";
+import {ADMIN_ROLES} from "../utils/permissions.js";
+import {PERIODS} from "../utils/period.js";
+import {SLUG_PATTERN} from "../utils/slug.js";
+import {
+  idParams,
+  objectId,
+  paginationQuery,
+  password,
+} from "./common.validators.js";
+
+const MAX_INVITATION_HOURS = 24 * 30;
+
+const reason = {type: "string", trim: true, max: 500};
+
+// Authentication
+export const registerAdminSchema = {
+  body: {
+    username: {type: "string", required: true, trim: true, min: 3, max: 30},
+    email: {type: "email", required: true},
+    password,
+    // Missing invitations are rejected with a 403 by the controller
+    invitationToken: {type: "string"},
+  },
+};
+
+// Articles, drafts are never visible to admins
+export const adminArticleListSchema = {
+  query: {
+    ...paginationQuery,
+    status: {
+      type: "string",
+      enum: ARTICLE_STATUSES.filter((status) => status !== "draft"),
+    },
+    search: {type: "string", trim: true, max: 200},
+  },
+};
+
+export const approveArticleSchema = {
+  params: idParams,
+  body: {
+    publishAt: {type: "date"},
+    expireAt: {type: "date"},
+  },
+};
+
+export const articleSlugSchema = {
+  params: idParams,
+  body: {
+    slug: {type: "string", required: true, max: 80, pattern: SLUG_PATTERN},
+  },
+};
+
+// Optional reason when rejecting, unpublishing or lifting a restriction
+export const moderationReasonSchema = {
+  params: idParams,
+  body: {reason},
+};
+
+// Categories, the slug defaults to one generated from the name
+const categoryName = {type: "string", required: true, trim: true, max: 50};
+const categorySlug = {type: "string", max: 80, pattern: SLUG_PATTERN};
+const categoryDescription = {type: "string", trim: true, max: 500};
+
+export const createCategorySchema = {
+  body: {
+    name: categoryName,
+    slug: categorySlug,
+    description: categoryDescription,
+    parent: {type: "objectId"},
+  },
+};
+
+export const updateCategorySchema = {
+  params: idParams,
+  body: {
+    description: categoryDescription,
+    // null moves the category to the top level
+    parent: {type: "objectId", nullable: true},
+  },
+};
+
+export const renameCategorySchema = {
+  params: idParams,
+  body: {name: categoryName, slug: categorySlug},
+};
+
+export const mergeCategorySchema = {
+  params: idParams,
+  body: {into: objectId},
+};
+
+// Comments
+export const adminCommentListSchema = {
+  query: {
+    ...paginationQuery,
+    status: {type: "string", enum: ["visible", "hidden", "deleted"]},
+  },
+};
+
+// Users
+export const userListSchema = {
+  query: {
+    ...paginationQuery,
+    search: {type: "string", trim: true, max: 200},
+    verified: {type: "boolean"},
+    restricted: {type: "boolean"},
+  },
+};
+
+export const userArticlesSchema = {
+  params: idParams,
+  query: {
+    ...paginationQuery,
+    status: {
+      type: "string",
+      enum: ARTICLE_STATUSES.filter((status) => status !== "draft"),
+    },
+  },
+};
+
+export const suspendUserSchema = {
+  params: idParams,
+  body: {
+    reason: {...reason, required: true},
+    durationHours: {type: "number", min: 0},
+    until: {type: "date"},
+    hideArticles: {type: "boolean"},
+  },
+};
+
+export const banUserSchema = {
+  params: idParams,
+  body: {
+    reason: {...reason, required: true},
+    hideArticles: {type: "boolean"},
+  },
+};
+
+// Admins and invitations
+export const updateAdminRoleSchema = {
+  params: idParams,
+  body: {role: {type: "string", required: true, enum: ADMIN_ROLES}},
+};
+
+export const createInvitationSchema = {
+  body: {
+    email: {type: "email", required: true},
+    role: {type: "string", required: true, enum: ADMIN_ROLES},
+    expiresInHours: {type: "number", min: 1, max: MAX_INVITATION_HOURS},
+  },
+};
+
+export const invitationListSchema = {
+  query: {
+    ...paginationQuery,
+    status: {
+      type: "string",
+      enum: ["pending", "accepted", "revoked", "expired"],
+    },
+  },
+};
+
+export const analyticsSchema = {
+  query: {period: {type: "string", enum: PERIODS, default: "month"}},
+};
@@ -0,0 +1,62 @@
+import {PERIODS} from "../utils/period.js";
+
+// Reusable field rules and request schemas shared by the user and admin routes
+
+export const objectId = {type: "objectId", required: true};
+
+export const password = {type: "string", required: true, min: 6};
+
+export const idParams = {id: objectId};
+
+export const paginationQuery = {
+  page: {type: "integer", min: 1},
+  limit: {type: "integer", min: 1},
+  cursor: {type: "string"},
+};
+
+export const idSchema = {params: idParams};
+
+export const paginatedSchema = {query: paginationQuery};
+
+export const statsSchema = {
+  params: idParams,
+  query: {period: {type: "string", enum: PERIODS, default: "month"}},
+};
+
+// Authentication
+export const loginSchema = {
+  body: {
+    email: {type: "email", required: true},
+    password: {type: "string", required: true},
+  },
+};
+
+export const refreshTokenSchema = {
+  body: {refreshToken: {type: "string", required: true}},
+};
+
+export const forgotPasswordSchema = {
+  body: {email: {type: "email", required: true}},
+};
+
+export const resetPasswordSchema = {
+  body: {
+    token: {type: "string", required: true},
+    password,
+  },
+};
+
+export const commentIdSchema = {params: {commentId: objectId}};
+
+// Revisions
+export const revisionSchema = {
+  params: {...idParams, revision: {type: "integer", required: true, min: 1}},
+};
+
+export const revisionDiffSchema = {
+  params: idParams,
+  query: {
+    from: {type: "integer", min: 1},
+    to: {type: "integer", min: 1},
+  },
+};
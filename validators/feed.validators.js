@@ -0,0 +1,24 @@
+import {FEED_FORMATS} from "../utils/feeds.js";
+
+// Feeds are served as RSS 2.0 or Atom, e.g. /feeds/rss or /feeds/atom
+const format = {
+  type: "string",
+  required: true,
+  enum: Object.keys(FEED_FORMATS),
+};
+
+export const feedSchema = {params: {format}};
+
+export const categoryFeedSchema = {
+  params: {
+    category: {type: "string", required: true, trim: true, min: 1, max: 50},
+    format,
+  },
+};
+
+export const authorFeedSchema = {
+  params: {
+    username: {type: "string", required: true, trim: true, min: 3, max: 30},
+    format,
+  },
+};
@@ -0,0 +1,153 @@
+import {ARTICLE_STATUSES} from "../models/article.models.js";
+import {SOCIAL_LINKS} from "../models/user.models.js";
+import {ARTICLE_FORMATS} from "../utils/markdown.js";
+import {SLUG_PATTERN} from "../utils/slug.js";
+import {
+  idParams,
+  objectId,
+  paginationQuery,
+  password,
+} from "./common.validators.js";
+
+const username = {type: "string", required: true, trim: true, min: 3, max: 30};
+
+const categoryTags = {
+  type: "array",
+  max: 10,
+  items: {type: "string", trim: true, required: true, min: 1, max: 50},
+};
+
+const commentBody = {type: "string", required: true, trim: true, max: 2000};
+
+// Authentication
+export const registerUserSchema = {
+  body: {
+    username,
+    email: {type: "email", required: true},
+    password,
+  },
+};
+
+export const changePasswordSchema = {
+  body: {
+    currentPassword: {type: "string", required: true},
+    newPassword: password,
+  },
+};
+
+export const verifyEmailSchema = {
+  body: {token: {type: "string", required: true}},
+};
+
+// Articles, required fields for non-draft articles are checked in the controller
+export const articleListSchema = {
+  query: {
+    ...paginationQuery,
+    category: {type: "string", trim: true},
+    search: {type: "string", trim: true, max: 200},
+  },
+};
+
+export const myArticlesSchema = {
+  query: {
+    ...paginationQuery,
+    status: {type: "string", enum: ARTICLE_STATUSES},
+  },
+};
+
+export const createArticleSchema = {
+  body: {
+    // Id of an image uploaded through POST /media
+    coverMedia: {type: "objectId"},
+    title: {type: "string", required: true, trim: true, max: 200},
+    shortDescription: {type: "string", trim: true, max: 500},
+    fullDescription: {type: "string", trim: true},
+    categoryTags,
+    draft: {type: "boolean"},
+  },
+};
+
+export const updateArticleSchema = {
+  params: idParams,
+  body: {
+    coverMedia: {type: "objectId"},
+    title: {type: "string", trim: true, max: 200},
+    shortDescription: {type: "string", trim: true, max: 500},
+    fullDescription: {type: "string", trim: true},
+    categoryTags,
+  },
+};
+
+const formatQuery = {
+  format: {type: "string", enum: ARTICLE_FORMATS, default: "markdown"},
+};
+
+// Public articles can be addressed by id or by slug
+export const articleSchema = {
+  params: {id: {type: "string", required: true, pattern: /^[\w-]{1,100}$/}},
+  query: formatQuery,
+};
+
+export const articleBySlugSchema = {
+  params: {slug: {type: "string", required: true, pattern: SLUG_PATTERN}},
+  query: formatQuery,
+};
+
+export const searchSchema = {
+  query: {
+    q: {type: "string", required: true, trim: true, max: 200},
+    page: paginationQuery.page,
+    limit: paginationQuery.limit,
+    category: {type: "string", trim: true},
+    author: {type: "string", trim: true},
+    from: {type: "date"},
+    to: {type: "date"},
+  },
+};
+
+// Profiles, null clears a field
+const profileUrl = {type: "url", max: 500, nullable: true};
+
+export const updateProfileSchema = {
+  body: {
+    displayName: {type: "string", trim: true, max: 60, nullable: true},
+    bio: {type: "string", trim: true, max: 500, nullable: true},
+    avatar: profileUrl,
+    socialLinks: {
+      type: "object",
+      fields: Object.fromEntries(
+        SOCIAL_LINKS.map((link) => [link, profileUrl])
+      ),
+    },
+  },
+};
+
+export const authorProfileSchema = {
+  params: {username},
+  query: paginationQuery,
+};
+
+// Follows
+export const followAuthorSchema = {params: {username}};
+
+export const followListSchema = {params: {username}, query: paginationQuery};
+
+export const followCategorySchema = {
+  params: {slug: {type: "string", required: true, pattern: SLUG_PATTERN}},
+};
+
+// Comments
+export const createCommentSchema = {
+  params: idParams,
+  body: {
+    body: commentBody,
+    parentId: {type: "objectId"},
+  },
+};
+
+export const updateCommentSchema = {
+  params: {commentId: objectId},
+  body: {body: commentBody},
+};
+
+export const commentListSchema = {params: idParams, query: paginationQuery};